@@ -1,8 +0,0 @@
-module.exports = async function(req, res, next) {
-    // Check if user is admin
-    if (req.user && req.user.role === 'admin') {
-        next();
-    } else {
-        res.status(403).json({ message: 'Access denied. Admin only.' });
-    }
-}; 
\ No newline at end of file
@@ -0,0 +1,22 @@
+const Role = require('../models/Role');
+
+// Limit what the caller sees to their branch. Sets req.branchFilter to a
+// query condition: empty for roles with branch.all, who see every branch,
+// and the caller's branch for everyone else. Staff not assigned to a branch
+// are refused. Must come after auth.
+module.exports = async function(req, res, next) {
+  try {
+    if (await Role.hasPermission(req.user.role, 'branch.all')) {
+      req.branchFilter = {};
+      return next();
+    }
+    if (!req.user.branch) {
+      return res.status(403).json({ message: 'You are not assigned to a branch. Ask an admin to assign you one.' });
+    }
+    req.branchFilter = { branch: req.user.branch };
+    next();
+  } catch (err) {
+    console.error('Error scoping to branch:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
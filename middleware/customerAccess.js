@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Loan = require('../models/Loan');
+
+// Load the customer named by the route parameter into req.customer, if the
+// caller may see them: everyone for roles with branch.all, else customers
+// onboarded at the caller's branch or with a loan the caller may see (see
+// Loan.accessFilter), and a customer's own record. A customer they may not
+// see is reported as not found. Must come after auth.
+module.exports = function customerAccess(param = 'customerId') {
+  return async function(req, res, next) {
+    try {
+      const id = req.params[param];
+      const customer = mongoose.isValidObjectId(id) ? await Customer.findById(id) : null;
+      if (!customer) {
+        return res.status(404).json({ message: 'Customer not found' });
+      }
+
+      const access = await Loan.accessFilter(req.user);
+      const visible = Object.keys(access).length === 0 ||
+        (req.user.customer && customer._id.equals(req.user.customer)) ||
+        (req.user.branch && customer.branch && customer.branch.equals(req.user.branch)) ||
+        await Loan.exists({ $and: [Loan.customerFilter(customer), access] });
+      if (!visible) {
+        return res.status(404).json({ message: 'Customer not found' });
+      }
+
+      req.customer = customer;
+      next();
+    } catch (err) {
+      console.error('Error checking customer access:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  };
+};
@@ -0,0 +1,17 @@
+const Customer = require('../models/Customer');
+
+// Load the customer record the caller's login is linked to into
+// req.customer. Logins not yet linked are refused. Must come after auth.
+module.exports = async function(req, res, next) {
+  try {
+    const customer = req.user.customer ? await Customer.findById(req.user.customer) : null;
+    if (!customer) {
+      return res.status(403).json({ message: 'Link your login to your customer record first' });
+    }
+    req.customer = customer;
+    next();
+  } catch (err) {
+    console.error('Error loading customer record:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,29 @@
+const multer = require('multer');
+const KycDocument = require('../models/KycDocument');
+
+// Read one uploaded file, sent as the multipart field "file", into memory as
+// req.file so it can be checked before it is stored. Text fields sent with it
+// are parsed into req.body.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: KycDocument.MAX_FILE_SIZE, files: 1 }
+}).single('file');
+
+module.exports = function(req, res, next) {
+  upload(req, res, err => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `File must be at most ${KycDocument.MAX_FILE_SIZE / (1024 * 1024)} MB`
+        : 'Send exactly one file, as the field "file"';
+      return res.status(400).json({ message });
+    }
+    if (err) {
+      console.error('Error receiving upload:', err);
+      return res.status(500).json({ message: 'Server error' });
+    }
+    if (!req.file || req.file.size === 0) {
+      return res.status(400).json({ message: 'Send the document as the file field "file"' });
+    }
+    next();
+  });
+};
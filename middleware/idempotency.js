@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// Honour an Idempotency-Key header: the first request with a key runs and
+// its successful response is stored; a repeat of the same request returns
+// the stored response. Requests without the header run as usual. Must come
+// after auth, since keys are scoped to the user.
+module.exports = async function(req, res, next) {
+  const key = req.header('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = crypto.createHash('sha256')
+    .update(JSON.stringify(req.body || {}))
+    .digest('hex');
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({ key, user: req.user._id, endpoint, requestHash });
+  } catch (err) {
+    if (err.code !== 11000) {
+      console.error('Idempotency key error:', err);
+      return res.status(500).json({ message: 'Server error' });
+    }
+
+    const existing = await IdempotencyKey.findOne({ key, user: req.user._id });
+    if (!existing) {
+      // Expired between the insert and the lookup; let the client retry
+      return res.status(409).json({ message: 'Idempotency key conflict, please retry' });
+    }
+    if (existing.endpoint !== endpoint || existing.requestHash !== requestHash) {
+      return res.status(422).json({ message: 'Idempotency key was already used for a different request' });
+    }
+    if (existing.status === 'processing') {
+      return res.status(409).json({ message: 'A request with this idempotency key is still being processed' });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Keep successful responses; release the key otherwise so the client
+  // can correct the request and retry with it
+  let settled = false;
+  const json = res.json.bind(res);
+  res.json = function(body) {
+    settled = true;
+    const settle = res.statusCode < 300
+      ? IdempotencyKey.updateOne(
+        { _id: record._id },
+        { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)) }
+      )
+      : IdempotencyKey.deleteOne({ _id: record._id });
+    // Answer once the key is settled, so an immediate retry sees the result
+    settle
+      .catch(err => console.error('Failed to store idempotent response:', err))
+      .then(() => json(body));
+    return res;
+  };
+
+  // A response sent some other way (res.send, or Express's error handler
+  // after a throw) stores nothing, so release the key once it has gone out.
+  // A client that hangs up early keeps the key until the request answers.
+  const release = () => {
+    if (settled || !res.writableEnded) return;
+    settled = true;
+    IdempotencyKey.deleteOne({ _id: record._id })
+      .catch(err => console.error('Failed to release idempotency key:', err));
+  };
+  res.on('finish', release);
+  res.on('close', release);
+
+  next();
+};
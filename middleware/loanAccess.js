@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+
+// Load the loan named by the route parameter into req.loan, if the caller
+// may see it (see Loan.accessFilter). A loan they may not see is reported
+// as not found, the same as one that does not exist. Must come after auth.
+module.exports = function loanAccess(param = 'id') {
+  return async function(req, res, next) {
+    try {
+      const id = req.params[param];
+      const loan = mongoose.isValidObjectId(id)
+        ? await Loan.findOne({ _id: id, ...await Loan.accessFilter(req.user) })
+        : null;
+      if (!loan) {
+        return res.status(404).json({ message: 'Loan not found' });
+      }
+      req.loan = loan;
+      next();
+    } catch (err) {
+      console.error('Error checking loan access:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  };
+};
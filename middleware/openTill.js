@@ -0,0 +1,36 @@
+const CashTill = require('../models/CashTill');
+const { businessDate } = require('../utils/cashbook');
+
+// The method of the payment named by the route (reversals), else how the
+// route's loan is paid out (approvals)
+function routePaymentMethod(req) {
+  if (!req.loan) return undefined;
+  const payment = req.params.paymentId ? req.loan.payments.id(req.params.paymentId) : null;
+  return payment ? payment.method : req.loan.paymentMethod;
+}
+
+// Refuse handcash transactions from staff who have already closed today's
+// till, so the counted cash stays final. Requests that don't name a method
+// take that of the route's payment or loan (loanAccess must come first), or
+// else pay out in handcash (loan creation). Must come after auth.
+module.exports = async function(req, res, next) {
+  const method = req.body.paymentMethod || req.body.method || routePaymentMethod(req) || 'handcash';
+  if (method !== 'handcash') {
+    return next();
+  }
+
+  try {
+    const closed = await CashTill.exists({
+      user: req.user._id,
+      businessDate: businessDate(),
+      status: { $ne: 'open' }
+    });
+    if (closed) {
+      return res.status(409).json({ message: "Today's cash till is closed. Ask an admin to reopen it before taking or paying out cash." });
+    }
+    next();
+  } catch (err) {
+    console.error('Error checking cash till:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
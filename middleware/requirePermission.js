@@ -0,0 +1,21 @@
+const Role = require('../models/Role');
+
+// Allow the request only if the caller's role grants every one of the given
+// permissions. Sets req.permissions to everything the role grants, for
+// finer checks in the handler. Must come after auth.
+module.exports = function requirePermission(...required) {
+  return async function(req, res, next) {
+    try {
+      const permissions = await Role.permissionsFor(req.user.role);
+      const missing = required.filter(permission => !permissions.includes(permission));
+      if (missing.length > 0) {
+        return res.status(403).json({ message: `Access denied. Requires permission: ${missing.join(', ')}` });
+      }
+      req.permissions = permissions;
+      next();
+    } catch (err) {
+      console.error('Error checking permissions:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  };
+};
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+// A notice sent to the customer before their gold is auctioned
+const noticeSchema = new mongoose.Schema({
+    // demand: first call to pay the overdue dues; final: last notice before auction
+    type: {
+        type: String,
+        enum: ['demand', 'final'],
+        required: true
+    },
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // The customer has until this date to pay before the auction proceeds
+    payBy: {
+        type: Date,
+        required: true
+    },
+    amountDue: Number,
+    sentTo: String,
+    emailSent: {
+        type: Boolean,
+        default: false
+    },
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+});
+
+const auctionSchema = new mongoose.Schema({
+    loan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Loan',
+        required: true,
+        index: true
+    },
+    loanId: {
+        type: String,
+        required: true
+    },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        index: true
+    },
+    // notice_period: notices being served; scheduled: date fixed; sold: sale
+    // recorded; closed: surplus refunded or shortfall resolved;
+    // cancelled: the customer paid up before the sale
+    status: {
+        type: String,
+        enum: ['notice_period', 'scheduled', 'sold', 'closed', 'cancelled'],
+        default: 'notice_period'
+    },
+    notices: [noticeSchema],
+    scheduledFor: Date,
+    venue: String,
+    // Gold rate and valuation when the auction was scheduled
+    reserveValuation: {
+        goldRate: Number,
+        totalFineWeight: Number,
+        marketValue: Number
+    },
+    // Sale
+    saleDate: Date,
+    salePrice: Number,
+    expenses: {
+        type: Number,
+        default: 0
+    },
+    buyerName: String,
+    buyerContact: String,
+    netProceeds: Number,
+    // What the loan owed at the sale and how the proceeds settled it
+    outstandingAtSale: {
+        principal: Number,
+        interest: Number,
+        penalty: Number,
+        total: Number
+    },
+    appliedToLoan: Number,
+    surplus: {
+        type: Number,
+        default: 0
+    },
+    surplusRefund: {
+        status: {
+            type: String,
+            enum: ['none', 'pending', 'refunded'],
+            default: 'none'
+        },
+        refundedAt: Date,
+        method: {
+            type: String,
+            enum: ['handcash', 'online']
+        },
+        reference: String,
+        refundedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    shortfall: {
+        type: Number,
+        default: 0
+    },
+    shortfallStatus: {
+        type: String,
+        enum: ['none', 'outstanding', 'recovered', 'written_off'],
+        default: 'none'
+    },
+    cancelReason: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update the updatedAt timestamp before saving
+auctionSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+// Close the auction once the surplus is refunded and the shortfall resolved
+auctionSchema.methods.closeIfResolved = function() {
+    const surplusResolved = this.surplusRefund.status !== 'pending';
+    const shortfallResolved = this.shortfallStatus !== 'outstanding';
+    if (this.status === 'sold' && surplusResolved && shortfallResolved) {
+        this.status = 'closed';
+    }
+};
+
+module.exports = mongoose.model('Auction', auctionSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// One change to the data: who made it, from where, to what, and the fields
+// it changed. Entries are only ever added; see utils/audit.js.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // The actor's role when they made the change
+  actorRole: String,
+  // What was done, e.g. loan.update or goldrate.update
+  action: {
+    type: String,
+    required: true
+  },
+  // Model name of the record changed, e.g. Loan
+  entityType: {
+    type: String,
+    required: true
+  },
+  entityId: mongoose.Schema.Types.ObjectId,
+  // The identifier people use for the record, e.g. the loan ID or Aadhar number
+  entityRef: String,
+  // Each field that changed, with its old and new value
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // Anything else worth keeping about the change, e.g. a reason given
+  details: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries are append-only
+const appendOnly = function(next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], appendOnly);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, appendOnly);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// A branch office. Employees work at one branch, and loans belong to the
+// branch that granted them.
+const branchSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please provide a branch name'],
+        unique: true,
+        trim: true
+    },
+    // Short code, e.g. HYD01
+    code: {
+        type: String,
+        required: [true, 'Please provide a branch code'],
+        unique: true,
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z0-9]{2,10}$/, 'Branch code must be 2-10 letters or digits']
+    },
+    address: {
+        type: String,
+        trim: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    email: {
+        type: String,
+        trim: true
+    },
+    // Inactive branches keep their records but take no new loans or staff
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update the updatedAt timestamp before saving
+branchSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+// An active branch by id, or null
+branchSchema.statics.findActive = function(id) {
+    if (!mongoose.isValidObjectId(id)) {
+        return Promise.resolve(null);
+    }
+    return this.findOne({ _id: id, isActive: true });
+};
+
+module.exports = mongoose.model('Branch', branchSchema);
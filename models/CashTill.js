@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// One staff member's cash for one business day: the float they started
+// with, the handcash they took in and paid out, and what they counted at
+// close. An admin approves the day once the cash is handed over.
+const cashTillSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Branch the staff member worked at that day
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  // Business day as YYYY-MM-DD, in server time
+  businessDate: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Business date must be YYYY-MM-DD']
+  },
+  // open: taking cash; closed: counted, waiting for an admin; approved:
+  // accepted by an admin
+  status: {
+    type: String,
+    enum: ['open', 'closed', 'approved'],
+    default: 'open'
+  },
+  openingBalance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Opening balance cannot be negative']
+  },
+  // Totals as of close
+  collections: {
+    type: Number,
+    default: 0
+  },
+  disbursements: {
+    type: Number,
+    default: 0
+  },
+  refunds: {
+    type: Number,
+    default: 0
+  },
+  // Handcash payments reversed that day, handed back from this till
+  reversals: {
+    type: Number,
+    default: 0
+  },
+  expectedCash: Number,
+  countedCash: Number,
+  // countedCash - expectedCash: positive is excess, negative is short
+  difference: Number,
+  closingNotes: String,
+  closedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNotes: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+cashTillSchema.index({ user: 1, businessDate: 1 }, { unique: true });
+cashTillSchema.index({ businessDate: 1, status: 1 });
+
+module.exports = mongoose.model('CashTill', cashTillSchema);
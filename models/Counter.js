@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Named sequences, incremented atomically
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Increment the named counter and return its new value. A counter that
+// does not exist yet starts from seed() (default 0), so sequences can
+// carry on from numbers already in use.
+counterSchema.statics.next = async function(name, seed = async () => 0) {
+  if (!(await this.exists({ _id: name }))) {
+    try {
+      await this.create({ _id: name, seq: await seed() });
+    } catch (err) {
+      // Another request created it first
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -39,6 +39,11 @@ const customerSchema = new mongoose.Schema({
         mobile: String,
         relation: String
     },
+    // Branch the customer was first onboarded at
+    branch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch'
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// One entry per gold rate change. Settings.goldRate holds the rate in
+// force; this collection keeps every rate that has been in force.
+const GoldRateSchema = new mongoose.Schema({
+  rate: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Gold rate must be positive']
+  },
+  previousRate: Number,
+  effectiveFrom: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// The most recent entry, i.e. the rate in force now
+GoldRateSchema.statics.latest = function() {
+  return this.findOne().sort({ effectiveFrom: -1 });
+};
+
+module.exports = mongoose.model('GoldRate', GoldRateSchema);
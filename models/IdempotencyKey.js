@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A client-supplied Idempotency-Key and the response it produced, so a
+// retried request gets the original result instead of running again.
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Method and path the key was first used on, and a hash of the body
+  endpoint: {
+    type: String,
+    required: true
+  },
+  requestHash: {
+    type: String,
+    required: true
+  },
+  // processing: the first request has not answered yet
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  // Keys are forgotten a day after first use
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24
+  }
+});
+
+idempotencyKeySchema.index({ key: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
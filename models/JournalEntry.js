@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Debit cannot be negative']
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit cannot be negative']
+  },
+  // Loan the line belongs to, for per-loan balances on shared accounts
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  }
+}, { _id: false });
+
+// A balanced double-entry posting. Entries are never edited; mistakes are
+// corrected by posting a reversing entry.
+const journalEntrySchema = new mongoose.Schema({
+  entryNumber: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  // disbursement: loan paid out; penalty: penalty charged; payment: money
+  // collected; reversal: a payment voided; reallocation: collected money
+  // moved between interest and receivable after a reversal; write_off: dues
+  // waived or written off; auction_surplus / surplus_refund: proceeds held
+  // for, and paid back to, the customer
+  type: {
+    type: String,
+    enum: [
+      'disbursement',
+      'penalty',
+      'payment',
+      'reversal',
+      'reallocation',
+      'write_off',
+      'auction_surplus',
+      'surplus_refund'
+    ],
+    required: true
+  },
+  narration: String,
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    index: true
+  },
+  loanId: String,
+  // Payment subdocument the entry records, for payments and reversals
+  paymentId: mongoose.Schema.Types.ObjectId,
+  lines: {
+    type: [journalLineSchema],
+    validate: {
+      validator: lines => lines.length >= 2,
+      message: 'A journal entry needs at least two lines'
+    }
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+journalEntrySchema.index({ 'lines.account': 1, date: 1 });
+journalEntrySchema.index({ 'lines.loan': 1 });
+
+// Debits must equal credits
+journalEntrySchema.pre('validate', function(next) {
+  const cents = field => Math.round(this.lines.reduce((sum, line) => sum + line[field], 0) * 100);
+  if (cents('debit') !== cents('credit')) {
+    return next(new Error(`Journal entry does not balance: debits ${cents('debit') / 100}, credits ${cents('credit') / 100}`));
+  }
+  next();
+});
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
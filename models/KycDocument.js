@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { getStorage } = require('../utils/documentStorage');
+
+// File formats accepted, known by the bytes a file starts with rather than
+// the name or type the uploader gives it
+const FILE_FORMATS = {
+  'image/jpeg': { extension: '.jpg', magic: Buffer.from([0xff, 0xd8, 0xff]) },
+  'image/png': { extension: '.png', magic: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  'application/pdf': { extension: '.pdf', magic: Buffer.from('%PDF-') }
+};
+const IMAGE_FORMATS = ['image/jpeg', 'image/png'];
+const ALL_FORMATS = Object.keys(FILE_FORMATS);
+
+// The documents kept for a customer, and the formats each may be uploaded in
+const DOCUMENT_TYPES = {
+  aadhar: { label: 'Aadhar card', formats: ALL_FORMATS },
+  pan: { label: 'PAN card', formats: ALL_FORMATS },
+  voter_id: { label: 'Voter ID card', formats: ALL_FORMATS },
+  passport: { label: 'Passport', formats: ALL_FORMATS },
+  driving_licence: { label: 'Driving licence', formats: ALL_FORMATS },
+  address_proof: { label: 'Proof of address', formats: ALL_FORMATS },
+  photo: { label: 'Photograph', formats: IMAGE_FORMATS },
+  signature: { label: 'Specimen signature', formats: IMAGE_FORMATS }
+};
+
+const MAX_FILE_SIZE = (Number(process.env.DOCUMENT_MAX_SIZE_MB) || 5) * 1024 * 1024;
+
+// One uploaded version of a customer's KYC document. Uploading the same type
+// again adds a new version and supersedes the one before; none are deleted.
+const kycDocumentSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(DOCUMENT_TYPES),
+    required: true
+  },
+  // 1 for the customer's first upload of this type, then 2, 3, ...
+  version: {
+    type: Number,
+    required: true
+  },
+  // When a newer version was uploaded; unset on the latest version
+  supersededAt: Date,
+  // Where the file is kept; see utils/documentStorage.js
+  storage: {
+    driver: { type: String, required: true },
+    key: { type: String, required: true }
+  },
+  originalName: String,
+  mimeType: {
+    type: String,
+    enum: ALL_FORMATS,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // SHA-256 of the file, to show it has not changed since it was uploaded
+  sha256: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'verified', 'rejected'],
+    default: 'pending'
+  },
+  review: {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    comments: String
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+kycDocumentSchema.index({ customer: 1, type: 1, version: 1 }, { unique: true });
+kycDocumentSchema.index({ status: 1, supersededAt: 1 });
+
+kycDocumentSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// The accepted format a file's contents are in, or undefined
+kycDocumentSchema.statics.detectFormat = function(buffer) {
+  return ALL_FORMATS.find(mimeType => {
+    const { magic } = FILE_FORMATS[mimeType];
+    return buffer.subarray(0, magic.length).equals(magic);
+  });
+};
+
+// Store an uploaded file as the next version of the customer's document of
+// this type. The file's format must already have been checked with
+// detectFormat. Two uploads racing for the same version fail with a
+// duplicate key error (code 11000) on one of them.
+kycDocumentSchema.statics.upload = async function({ customer, type, file, mimeType, uploadedBy }) {
+  const latest = await this.findOne({ customer: customer._id, type }).sort({ version: -1 });
+  const version = latest ? latest.version + 1 : 1;
+
+  const storage = getStorage();
+  const key = `${customer._id}/${type}/v${version}-${crypto.randomBytes(8).toString('hex')}${FILE_FORMATS[mimeType].extension}`;
+  await storage.put(key, file.buffer, { contentType: mimeType });
+
+  let document;
+  try {
+    document = await this.create({
+      customer: customer._id,
+      type,
+      version,
+      storage: { driver: storage.name, key },
+      originalName: file.originalname,
+      mimeType,
+      size: file.buffer.length,
+      sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      uploadedBy
+    });
+  } catch (err) {
+    await storage.remove(key)
+      .catch(removeErr => console.error(`Failed to remove unsaved document ${key}:`, removeErr));
+    throw err;
+  }
+
+  await this.updateMany(
+    { customer: customer._id, type, version: { $lt: version }, supersededAt: null },
+    { supersededAt: document.createdAt }
+  );
+  return document;
+};
+
+// Only the latest version is reviewed, and only once
+async function recordReview(document, { status, reviewedBy, comments, date = new Date() }) {
+  if (document.supersededAt) {
+    throw new Error('A newer version of this document has been uploaded; review that one instead');
+  }
+  if (document.status !== 'pending') {
+    throw new Error(`Document has already been ${document.status}`);
+  }
+  document.status = status;
+  document.review = { reviewedBy, reviewedAt: date, comments };
+  return document.save();
+}
+
+kycDocumentSchema.methods.verify = function({ verifiedBy, comments, date }) {
+  return recordReview(this, { status: 'verified', reviewedBy: verifiedBy, comments, date });
+};
+
+kycDocumentSchema.methods.reject = function({ rejectedBy, comments, date }) {
+  return recordReview(this, { status: 'rejected', reviewedBy: rejectedBy, comments, date });
+};
+
+// A readable stream of the file
+kycDocumentSchema.methods.open = function() {
+  return getStorage(this.storage.driver).get(this.storage.key);
+};
+
+// Download links carry their expiry time and a signature over the document
+// and that time, so they work without logging in but cannot be made up or
+// extended. DOCUMENT_LINK_SECRET signs them; JWT_SECRET if it is not set.
+const LINK_TTL_MS = (Number(process.env.DOCUMENT_LINK_TTL_MINUTES) || 5) * 60 * 1000;
+
+function linkSignature(id, expires) {
+  return crypto.createHmac('sha256', process.env.DOCUMENT_LINK_SECRET || process.env.JWT_SECRET)
+    .update(`${id}.${expires}`)
+    .digest('hex');
+}
+
+// The query string of a download link for this document, and when it expires
+kycDocumentSchema.methods.downloadLink = function(now = Date.now()) {
+  const expires = now + LINK_TTL_MS;
+  return {
+    query: `expires=${expires}&signature=${linkSignature(this._id, expires)}`,
+    expiresAt: new Date(expires)
+  };
+};
+
+// Whether a download link's expiry and signature are good for the document id
+kycDocumentSchema.statics.checkDownloadLink = function(id, expires, signature, now = Date.now()) {
+  if (!/^\d+$/.test(expires) || Number(expires) < now || typeof signature !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(linkSignature(id, expires));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+kycDocumentSchema.statics.DOCUMENT_TYPES = DOCUMENT_TYPES;
+kycDocumentSchema.statics.MAX_FILE_SIZE = MAX_FILE_SIZE;
+
+module.exports = mongoose.model('KycDocument', kycDocumentSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// An account in the chart of accounts. Journal entries refer to accounts
+// by code.
+const ledgerAccountSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Assets and expenses carry debit balances; the rest carry credit balances
+  type: {
+    type: String,
+    enum: ['asset', 'liability', 'equity', 'income', 'expense'],
+    required: true
+  },
+  description: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Codes of the accounts the loan postings use
+const ACCOUNTS = {
+  CASH: '1000',
+  BANK: '1010',
+  LOANS_RECEIVABLE: '1100',
+  CUSTOMER_SURPLUS: '2100',
+  INTEREST_INCOME: '4000',
+  PENALTY_INCOME: '4010',
+  WRITE_OFFS: '5000'
+};
+
+const DEFAULT_CHART = [
+  { code: ACCOUNTS.CASH, name: 'Cash in Hand', type: 'asset', description: 'Handcash disbursed and collected' },
+  { code: ACCOUNTS.BANK, name: 'Bank', type: 'asset', description: 'Online disbursements and collections' },
+  { code: ACCOUNTS.LOANS_RECEIVABLE, name: 'Gold Loans Receivable', type: 'asset', description: 'Principal lent and penalties charged, not yet collected' },
+  { code: ACCOUNTS.CUSTOMER_SURPLUS, name: 'Auction Surplus Payable', type: 'liability', description: 'Auction proceeds owed back to customers' },
+  { code: ACCOUNTS.INTEREST_INCOME, name: 'Interest Income', type: 'income', description: 'Interest collected on loans' },
+  { code: ACCOUNTS.PENALTY_INCOME, name: 'Penal Interest and Late Fees', type: 'income', description: 'Penalties charged on overdue installments' },
+  { code: ACCOUNTS.WRITE_OFFS, name: 'Waivers and Write-offs', type: 'expense', description: 'Dues waived at settlement or written off after auction' }
+];
+
+// Create any accounts of the default chart that are missing
+ledgerAccountSchema.statics.ensureChart = async function() {
+  await Promise.all(DEFAULT_CHART.map(account => this.updateOne(
+    { code: account.code },
+    { $setOnInsert: account },
+    { upsert: true }
+  )));
+};
+
+ledgerAccountSchema.statics.ACCOUNTS = ACCOUNTS;
+
+module.exports = mongoose.model('LedgerAccount', ledgerAccountSchema);
@@ -1,9 +1,122 @@
 const mongoose = require('mongoose');
+const { calculateFineWeight } = require('../utils/goldValuation');
+const { REPAYMENT_TYPES, round2, calculateLoanQuote } = require('../utils/loanCalculator');
+const penaltyRuleSchema = require('./penaltyRuleSchema');
+const Settings = require('./Settings');
+const Role = require('./Role');
+const Customer = require('./Customer');
+const {
+    CLOSED_STATUSES,
+    installmentParts,
+    installmentDue,
+    allocatePayment,
+    splitLumpSum
+} = require('../utils/paymentAllocation');
+const { postLoanEvents } = require('../utils/ledger');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
 
 const goldItemSchema = new mongoose.Schema({
     description: String,
     grossWeight: Number,
-    netWeight: Number
+    netWeight: Number,
+    // Purity in karat (24 = pure gold)
+    purity: {
+        type: Number,
+        min: [1, 'Purity cannot be less than 1 karat'],
+        max: [24, 'Purity cannot exceed 24 karat']
+    },
+    // Purity in parts per thousand (e.g. 916 for 22K), when appraised that way
+    fineness: {
+        type: Number,
+        min: [1, 'Fineness cannot be less than 1'],
+        max: [1000, 'Fineness cannot exceed 1000']
+    },
+    // Deductions from the net weight, in grams
+    stoneWeight: {
+        type: Number,
+        default: 0,
+        min: [0, 'Stone weight cannot be negative']
+    },
+    wastageWeight: {
+        type: Number,
+        default: 0,
+        min: [0, 'Wastage weight cannot be negative']
+    },
+    // Pure gold content, computed from the fields above
+    fineWeight: Number,
+    // Set when the item has been handed back to the customer before closure
+    released: {
+        type: Boolean,
+        default: false
+    },
+    releasedAt: Date,
+    releasedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+});
+
+// Keep the fine weight in step with the weights and purity
+goldItemSchema.pre('validate', function(next) {
+    this.fineWeight = calculateFineWeight(this);
+    next();
+});
+
+// Snapshot of the gold valuation the loan was granted against
+const valuationSchema = new mongoose.Schema({
+    // Gold rate in force when the loan was created, and its history entry
+    goldRate: Number,
+    goldRateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GoldRate'
+    },
+    valuedAt: Date,
+    totalNetWeight: Number,
+    totalFineWeight: Number,
+    marketValue: Number,
+    ltvRatio: Number,
+    eligibleAmount: Number,
+    // Set when the loan was allowed above the LTV ceiling (ltvAction: 'flag')
+    ltvExceeded: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+// A partial release of pledged items against a payment
+const releaseSchema = new mongoose.Schema({
+    slipNumber: {
+        type: String,
+        required: true
+    },
+    items: [{
+        itemId: mongoose.Schema.Types.ObjectId,
+        description: String,
+        netWeight: Number,
+        fineWeight: Number
+    }],
+    amountPaid: {
+        type: Number,
+        default: 0
+    },
+    paymentMethod: {
+        type: String,
+        enum: ['handcash', 'online']
+    },
+    transactionId: String,
+    // Outstanding balance and valuation of the gold still pledged, after the release
+    remainingBalance: Number,
+    remainingValuation: valuationSchema,
+    releasedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    releasedAt: {
+        type: Date,
+        default: Date.now
+    }
 });
 
 const emergencyContactSchema = new mongoose.Schema({
@@ -26,6 +139,11 @@ const paymentSchema = new mongoose.Schema({
         required: true
     },
     transactionId: String,
+    // Staff member who took the payment; handcash counts towards their till
+    collectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
     // Track which month's installment this payment is for
     installmentNumber: {
         type: Number,
@@ -35,6 +153,44 @@ const paymentSchema = new mongoose.Schema({
     remainingBalance: {
         type: Number,
         required: true
+    },
+    // installment: a regular repayment; renewal: interest and penalty
+    // settled when the loan was renewed; release: paid to take back items;
+    // foreclosure: settlement to close the loan early; auction: sale proceeds
+    // of the pledged gold, or a later recovery of an auction shortfall
+    purpose: {
+        type: String,
+        enum: ['installment', 'renewal', 'release', 'foreclosure', 'auction'],
+        default: 'installment'
+    },
+    // How the payment was applied: penalty first, then interest, then principal
+    breakdown: {
+        penalty: { type: Number, default: 0 },
+        interest: { type: Number, default: 0 },
+        principal: { type: Number, default: 0 }
+    },
+    // The same, per installment the payment reached
+    allocations: [{
+        _id: false,
+        installmentNumber: Number,
+        penalty: Number,
+        interest: Number,
+        principal: Number
+    }],
+    // reversed: voided by an admin (bounced transfer, wrong entry); kept
+    // for the record but no longer counted towards the loan
+    status: {
+        type: String,
+        enum: ['completed', 'reversed'],
+        default: 'completed'
+    },
+    reversal: {
+        reason: String,
+        reversedAt: Date,
+        reversedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
     }
 });
 
@@ -79,6 +235,8 @@ const loanSchema = new mongoose.Schema({
     },
     emergencyContact: emergencyContactSchema,
     goldItems: [goldItemSchema],
+    valuation: valuationSchema,
+    releases: [releaseSchema],
     amount: {
         type: Number,
         required: [true, 'Please provide loan amount'],
@@ -94,14 +252,80 @@ const loanSchema = new mongoose.Schema({
         required: [true, 'Please provide interest rate'],
         min: [0, 'Interest rate cannot be negative']
     },
+    // Branch that granted the loan
+    branch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch',
+        index: true
+    },
+    // Scheme the rate, term and repayment type were taken from
+    scheme: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Scheme',
+        index: true
+    },
+    // emi: equal monthly installments; interest_only: monthly interest with
+    // the principal at maturity; bullet: everything at maturity
+    repaymentType: {
+        type: String,
+        enum: REPAYMENT_TYPES,
+        default: 'emi'
+    },
     status: {
         type: String,
-        enum: ['approved', 'rejected', 'active', 'closed'],
+        // pending_approval: created by staff who cannot approve loans, waiting
+        // for an approver; defaulted: recalled for auction after notice;
+        // auctioned: the gold has been sold (terminal)
+        enum: ['pending_approval', 'approved', 'rejected', 'active', 'closed', 'defaulted', 'auctioned'],
         default: 'active'
     },
+    // Approver's decision on a loan that waited for approval
+    approval: {
+        decision: {
+            type: String,
+            enum: ['approved', 'rejected']
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: Date,
+        comments: String
+    },
+    // When the money was paid out and the schedule starts: on creation, or
+    // on approval for a loan that waited for it
+    disbursedAt: {
+        type: Date
+    },
+    // Who paid it out, and so whose till the cash left: the creator, or the
+    // approver for a loan that waited for approval
+    disbursedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    defaultedDate: {
+        type: Date
+    },
     closedDate: {
         type: Date
     },
+    // Why a closed loan was closed
+    closureReason: {
+        type: String,
+        enum: ['repaid', 'renewed', 'foreclosed']
+    },
+    // Early closure settlement, when the loan was foreclosed
+    foreclosure: {
+        date: Date,
+        payoffAmount: Number,
+        amountPaid: Number,
+        // Scheduled dues not collected: unearned interest, plus any write-off
+        waivedAmount: Number,
+        settledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
     monthlyPayment: {
         type: Number,
         required: true
@@ -115,16 +339,45 @@ const loanSchema = new mongoose.Schema({
         number: Number,
         dueDate: Date,
         amount: Number,
+        // Split of the installment amount
+        principal: Number,
+        interest: Number,
         status: {
             type: String,
-            enum: ['pending', 'partial', 'paid'],
+            // settled: closed out by renewal or foreclosure; waived: written
+            // off at foreclosure
+            enum: ['pending', 'partial', 'paid', 'overdue', 'settled', 'waived'],
             default: 'pending'
         },
+        // Interest and principal parts paid; amountPaid is their sum
         amountPaid: {
             type: Number,
             default: 0
-        }
+        },
+        interestPaid: Number,
+        principalPaid: Number,
+        daysPastDue: {
+            type: Number,
+            default: 0
+        },
+        // Late fee and penal interest charged on this installment
+        penalty: {
+            type: Number,
+            default: 0
+        },
+        penaltyPaid: {
+            type: Number,
+            default: 0
+        },
+        // Penal interest has been charged up to this date
+        penaltyAccruedTo: Date
     }],
+    // Penalty rule taken from the scheme; Settings.penalty applies when unset
+    penaltyRule: penaltyRuleSchema,
+    totalPenalty: {
+        type: Number,
+        default: 0
+    },
     actualRepaymentDate: {
         type: Date
     },
@@ -154,6 +407,21 @@ const loanSchema = new mongoose.Schema({
     renewalDate: {
         type: Date
     },
+    // Renewal chain: the loan this one renewed, and the loan it was renewed into
+    renewedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Loan'
+    },
+    renewedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Loan'
+    },
+    // Principal carried over from the renewed loan; only the rest of the
+    // amount is paid out
+    carriedPrincipal: {
+        type: Number,
+        default: 0
+    },
     createdBy: {
         type: mongoose.Schema.ObjectId,
         ref: 'User',
@@ -173,109 +441,633 @@ const loanSchema = new mongoose.Schema({
         unique: true,
         required: true
     }
+}, {
+    // A save fails with a VersionError if the loan was saved by someone else
+    // since it was loaded, e.g. a payment racing the overdue job, rather
+    // than overwriting their changes
+    optimisticConcurrency: true
 });
 
 // Add index explicitly
 loanSchema.index({ aadharNumber: 1 }, { unique: false });
+loanSchema.index({ 'payments.transactionId': 1 });
 
-// Calculate monthly payment and set up installments before saving
-loanSchema.pre('save', function(next) {
+// Whether an online transaction reference is already on a payment that
+// stands, on any loan. A reversed payment frees its reference.
+loanSchema.statics.isTransactionIdUsed = async function(transactionId) {
+    if (!transactionId) {
+        return false;
+    }
+    return Boolean(await this.exists({
+        payments: { $elemMatch: { transactionId, status: { $ne: 'reversed' } } }
+    }));
+};
+
+// Query condition for a customer's loans. Loans from before customer
+// records were kept share only the customer's Aadhar number.
+loanSchema.statics.customerFilter = function(customer) {
+    return { $or: [{ customerId: customer._id }, { aadharNumber: customer.aadharNumber }] };
+};
+
+// Query condition for the loans a user may see: every loan for roles with
+// branch.all, else their branch's loans and, for a customer, their own
+loanSchema.statics.accessFilter = async function(user) {
+    if (await Role.hasPermission(user.role, 'branch.all')) {
+        return {};
+    }
+    const conditions = [];
+    if (user.branch) {
+        conditions.push({ branch: user.branch });
+    }
+    const customer = user.customer ? await Customer.findById(user.customer) : null;
+    if (customer) {
+        conditions.push(...this.customerFilter(customer).$or);
+    }
+    // Match nothing when the user may see no loans
+    return conditions.length > 0 ? { $or: conditions } : { _id: null };
+};
+
+// Calculate the monthly payment and set up the installments, due from
+// startDate. Any totals sent by the client are overwritten.
+loanSchema.methods.buildSchedule = function(startDate) {
+    const quote = calculateLoanQuote({
+        amount: this.amount,
+        term: this.term,
+        interestRate: this.interestRate,
+        repaymentType: this.repaymentType,
+        startDate
+    });
+
+    this.monthlyPayment = quote.monthlyPayment;
+    this.totalPayment = quote.totalPayment;
+    this.remainingBalance = quote.totalPayment;
+    this.installments = quote.schedule.map(inst => ({
+        number: inst.number,
+        dueDate: inst.dueDate,
+        amount: inst.amount,
+        principal: inst.principal,
+        interest: inst.interest,
+        status: 'pending',
+        amountPaid: 0,
+        interestPaid: 0,
+        principalPaid: 0
+    }));
+};
+
+// Set up a new loan's schedule. This runs before validation so the computed
+// totals satisfy the required fields. A loan waiting for approval is
+// scheduled again from the day it is approved.
+loanSchema.pre('validate', function(next) {
     if (this.isNew) {
-        // Convert yearly interest rate to monthly
-        const r = (this.interestRate / 100) / 12; // Monthly interest rate from yearly
-        const n = this.term; // Number of months
-        const p = this.amount; // Principal amount
-        
-        // Monthly payment formula: P * r * (1 + r)^n / ((1 + r)^n - 1)
-        this.monthlyPayment = (p * r * Math.pow(1 + r, n)) / (Math.pow(1 + r, n) - 1);
-        this.totalPayment = this.monthlyPayment * n;
-        this.remainingBalance = this.totalPayment;
-
-        // Create installment schedule
-        this.installments = [];
-        let currentDate = new Date(this.createdAt);
-        
-        for (let i = 1; i <= this.term; i++) {
-            // Add one month to the date
-            currentDate = new Date(currentDate);
-            currentDate.setMonth(currentDate.getMonth() + 1);
-            
-            this.installments.push({
-                number: i,
-                dueDate: new Date(currentDate),
-                amount: this.monthlyPayment,
-                status: 'pending',
-                amountPaid: 0
-            });
+        if (this.status === 'active' && !this.disbursedAt) {
+            this.disbursedAt = this.createdAt;
+            this.disbursedBy = this.disbursedBy || this.createdBy;
         }
+        this.buildSchedule(this.disbursedAt || this.createdAt);
     }
     next();
 });
 
-// Method to record a payment
-loanSchema.methods.recordPayment = async function(paymentAmount, paymentMethod, transactionId = null) {
-    // Find the first unpaid or partially paid installment
-    const currentInstallment = this.installments.find(inst => 
-        inst.status === 'pending' || inst.status === 'partial'
-    );
+// Queue a ledger posting for a change to this loan. Queued postings are
+// posted once the loan saves (see utils/ledger.js for the event types).
+loanSchema.methods.queueLedger = function(event) {
+    this.$locals.ledgerEvents = this.$locals.ledgerEvents || [];
+    this.$locals.ledgerEvents.push(event);
+};
+
+// A new active loan is paid out when it is first saved
+loanSchema.pre('save', function(next) {
+    if (this.isNew && this.status === 'active') {
+        this.queueLedger({ type: 'disbursement', date: this.disbursedAt, postedBy: this.createdBy });
+    }
+    next();
+});
+
+// Post the queued ledger entries. Inside a transaction a failure aborts
+// the whole write; otherwise the loan is already saved and it is logged.
+loanSchema.post('save', async function(doc) {
+    const events = doc.$locals.ledgerEvents || [];
+    doc.$locals.ledgerEvents = [];
+    if (events.length === 0) return;
+
+    try {
+        await postLoanEvents(doc, events, doc.$session());
+    } catch (err) {
+        if (doc.$session()) throw err;
+        console.error(`Failed to post ledger entries for loan ${doc.loanId}:`, err);
+    }
+});
+
+// Approve a loan waiting for approval: schedule it from the approval date,
+// make it active and pay it out
+loanSchema.methods.approve = async function({ approvedBy, comments, date = new Date() }) {
+    if (this.status !== 'pending_approval') {
+        throw new Error(`Only a loan pending approval can be approved; this one is ${this.status}`);
+    }
+
+    this.disbursedAt = date;
+    this.disbursedBy = approvedBy;
+    this.buildSchedule(date);
+    this.status = 'active';
+    this.approval = { decision: 'approved', reviewedBy: approvedBy, reviewedAt: date, comments };
+    this.queueLedger({ type: 'disbursement', date, postedBy: approvedBy });
 
-    if (!currentInstallment) {
+    await this.save();
+    return this;
+};
+
+// Reject a loan waiting for approval. Nothing was paid out, so nothing is posted.
+loanSchema.methods.reject = async function({ rejectedBy, comments, date = new Date() }) {
+    if (this.status !== 'pending_approval') {
+        throw new Error(`Only a loan pending approval can be rejected; this one is ${this.status}`);
+    }
+
+    this.status = 'rejected';
+    this.approval = { decision: 'rejected', reviewedBy: rejectedBy, reviewedAt: date, comments };
+
+    await this.save();
+    return this;
+};
+
+// Whether the loan still has dues running: active, or defaulted but not yet auctioned
+loanSchema.methods.isOpen = function() {
+    return this.status === 'active' || this.status === 'defaulted';
+};
+
+// Mark installments past their due date (and grace days) as overdue and
+// charge the late fee and penal interest on them up to asOf. Penal interest
+// is charged per whole day on the unpaid installment amount, so running
+// this repeatedly charges each day once. Returns the penalty charged.
+loanSchema.methods.applyOverdue = async function(asOf = new Date(), defaultRule = null) {
+    if (!this.isOpen()) {
+        return 0;
+    }
+
+    const rule = this.penaltyRule || defaultRule || (await Settings.getCurrent()).penalty;
+    let charged = 0;
+
+    for (const inst of this.installments) {
+        if (CLOSED_STATUSES.includes(inst.status) || inst.dueDate >= asOf) continue;
+
+        inst.daysPastDue = Math.floor((asOf - inst.dueDate) / DAY_MS);
+        if (inst.daysPastDue <= rule.graceDays) continue;
+
+        if (inst.status !== 'overdue') {
+            inst.status = 'overdue';
+            inst.penalty = round2(inst.penalty + rule.lateFee);
+            inst.penaltyAccruedTo = inst.penaltyAccruedTo || inst.dueDate;
+            charged += rule.lateFee;
+        }
+
+        const days = Math.floor((asOf - inst.penaltyAccruedTo) / DAY_MS);
+        if (days > 0) {
+            const unpaid = Math.max(inst.amount - inst.amountPaid, 0);
+            const penalInterest = round2(unpaid * (rule.penalRate / 100) * days / 365);
+            inst.penalty = round2(inst.penalty + penalInterest);
+            inst.penaltyAccruedTo = new Date(inst.penaltyAccruedTo.getTime() + days * DAY_MS);
+            charged += penalInterest;
+        }
+    }
+
+    if (charged > 0) {
+        this.totalPenalty = round2(this.totalPenalty + charged);
+        this.remainingBalance = round2(this.remainingBalance + charged);
+        this.queueLedger({ type: 'penalty', amount: round2(charged), date: asOf });
+    }
+    return round2(charged);
+};
+
+// Method to record a payment. The payment is spread over the installments
+// by the allocation engine and the payment record keeps the breakdown.
+loanSchema.methods.recordPayment = async function(paymentAmount, paymentMethod, transactionId = null, purpose = 'installment', collectedBy = null) {
+    const payment = await this.applyPayment(paymentAmount, paymentMethod, transactionId, purpose, collectedBy);
+    await this.save();
+    return payment;
+};
+
+// Apply a payment as recordPayment does, without saving the loan, for a
+// payment that must be saved together with other changes to it
+loanSchema.methods.applyPayment = async function(paymentAmount, paymentMethod, transactionId = null, purpose = 'installment', collectedBy = null) {
+    const amount = round2(Number(paymentAmount));
+    const now = new Date();
+
+    // Bring penalties up to date so the payment is allocated against them
+    await this.applyOverdue(now);
+
+    const outstanding = round2(this.installments.reduce((sum, inst) => sum + installmentDue(inst), 0));
+    if (outstanding <= 0) {
         throw new Error('No pending installments found');
     }
+    if (amount > outstanding) {
+        throw new Error(`Payment exceeds the outstanding balance of ₹${outstanding}`);
+    }
 
-    // Calculate how much can be applied to current installment
-    const remainingForInstallment = currentInstallment.amount - currentInstallment.amountPaid;
-    const appliedToInstallment = Math.min(paymentAmount, remainingForInstallment);
+    const { allocations, breakdown } = allocatePayment(this.installments, amount, {
+        repaymentType: this.repaymentType,
+        asOf: now
+    });
 
-    // Update installment
-    currentInstallment.amountPaid += appliedToInstallment;
-    currentInstallment.status = currentInstallment.amountPaid >= currentInstallment.amount ? 'paid' : 'partial';
+    // Update loan totals
+    this.totalPaid = round2(this.totalPaid + amount);
+    this.remainingBalance = round2(this.remainingBalance - amount);
 
     // Create payment record
-    const payment = {
-        amount: paymentAmount,
+    this.payments.push({
+        amount,
         method: paymentMethod,
         transactionId,
-        installmentNumber: currentInstallment.number,
-        remainingBalance: this.remainingBalance - paymentAmount
-    };
-
-    // Update loan totals
-    this.totalPaid += paymentAmount;
-    this.remainingBalance -= paymentAmount;
-    this.payments.push(payment);
+        collectedBy,
+        date: now,
+        installmentNumber: allocations[0].installmentNumber,
+        remainingBalance: this.remainingBalance,
+        purpose,
+        breakdown,
+        allocations
+    });
+    const payment = this.payments[this.payments.length - 1];
+    this.queueLedger({ type: 'payment', payment });
 
     // Check if loan is fully paid
     if (this.remainingBalance <= 0) {
         this.status = 'closed';
-        this.closedDate = new Date();
-        this.actualRepaymentDate = new Date();
+        this.closureReason = 'repaid';
+        this.closedDate = now;
+        this.actualRepaymentDate = now;
         this.actualAmountPaid = this.totalPaid;
     }
 
+    return payment;
+};
+
+// Payment purposes that can be reversed. The others close the loan out
+// through renewal, foreclosure or auction, or pay for items already handed
+// back on release, and have to stand.
+const REVERSIBLE_PURPOSES = ['installment'];
+
+// Void a recorded payment. The payment is kept, marked reversed, and the
+// installments are rebuilt by replaying the remaining payments in order,
+// so later payments move up to cover what the reversed one had paid. A
+// loan the payment had closed is reopened.
+loanSchema.methods.reversePayment = async function(paymentId, { reason, reversedBy, asOf = new Date() }) {
+    const payment = this.payments.id(paymentId);
+    if (!payment) {
+        throw new Error('Payment not found');
+    }
+    if (payment.status === 'reversed') {
+        throw new Error('Payment has already been reversed');
+    }
+    if (!REVERSIBLE_PURPOSES.includes(payment.purpose)) {
+        throw new Error(`A ${payment.purpose} payment cannot be reversed`);
+    }
+    if (!this.isOpen() && !(this.status === 'closed' && this.closureReason === 'repaid')) {
+        throw new Error(`Payments cannot be reversed on a ${this.closureReason || this.status} loan`);
+    }
+
+    payment.status = 'reversed';
+    payment.reversal = { reason, reversedAt: asOf, reversedBy };
+
+    // Start every installment over; penalties already charged stay
+    for (const inst of this.installments) {
+        if (inst.status === 'settled' || inst.status === 'waived') continue;
+        inst.amountPaid = 0;
+        inst.interestPaid = 0;
+        inst.principalPaid = 0;
+        inst.penaltyPaid = 0;
+        inst.status = inst.penaltyAccruedTo ? 'overdue' : 'pending';
+    }
+
+    const remaining = this.payments
+        .filter(p => p.status !== 'reversed')
+        .sort((a, b) => a.date - b.date);
+    let interestMoved = 0;
+    for (const p of remaining) {
+        const { allocations, breakdown } = allocatePayment(this.installments, p.amount, {
+            repaymentType: this.repaymentType,
+            asOf: p.date
+        });
+        interestMoved += breakdown.interest - p.breakdown.interest;
+        p.allocations = allocations;
+        p.breakdown = breakdown;
+    }
+
+    this.queueLedger({ type: 'reversal', payment, date: asOf, postedBy: reversedBy });
+    if (round2(interestMoved) !== 0) {
+        this.queueLedger({ type: 'reallocation', amount: round2(interestMoved), date: asOf, postedBy: reversedBy });
+    }
+
+    this.totalPaid = round2(remaining.reduce((sum, p) => sum + p.amount, 0));
+    this.remainingBalance = round2(this.totalPayment + this.totalPenalty - this.totalPaid);
+
+    if (this.status === 'closed' && this.remainingBalance > 0) {
+        this.status = 'active';
+        this.closureReason = undefined;
+        this.closedDate = undefined;
+        this.actualRepaymentDate = undefined;
+        this.actualAmountPaid = 0;
+    }
+
+    // Installments the reversal left unpaid past their due date now run late
+    await this.applyOverdue(asOf);
+
     await this.save();
     return payment;
 };
 
-// Add method to calculate early repayment amount
-loanSchema.methods.calculateEarlyRepaymentAmount = function() {
-    if (!this.actualRepaymentDate) {
-        return this.remainingBalance;
+// What is owed on the loan as of a date: unpaid principal, interest accrued
+// and unpaid (including the running part of the current installment
+// period) and unpaid penalty.
+loanSchema.methods.getOutstanding = function(asOf = new Date()) {
+    let principal = 0;
+    let interest = 0;
+    let penalty = 0;
+    let periodStart = this.disbursedAt || this.createdAt;
+
+    for (const inst of this.installments) {
+        if (inst.status === 'settled' || inst.status === 'waived') continue;
+
+        const parts = installmentParts(inst);
+        principal += parts.principal - parts.principalPaid;
+        penalty += parts.penalty - parts.penaltyPaid;
+
+        if (inst.dueDate <= asOf) {
+            interest += parts.interest - parts.interestPaid;
+        } else if (periodStart < asOf) {
+            // Interest accrues evenly over the installment period
+            const elapsed = (asOf - periodStart) / (inst.dueDate - periodStart);
+            interest += Math.max(parts.interest * elapsed - parts.interestPaid, 0);
+        }
+        periodStart = inst.dueDate;
+    }
+
+    return {
+        principal: round2(principal),
+        interest: round2(interest),
+        penalty: round2(penalty),
+        total: round2(principal + interest + penalty)
+    };
+};
+
+// Close the loan as renewed into renewedTo. The customer pays the
+// outstanding interest and penalty; the unpaid principal is carried to the
+// new loan, so the remaining installments are marked settled.
+loanSchema.methods.settleForRenewal = async function(renewedTo, { paymentMethod, transactionId = null, collectedBy = null, asOf = new Date() }) {
+    await this.applyOverdue(asOf);
+    const outstanding = this.getOutstanding(asOf);
+    const settlementAmount = round2(outstanding.interest + outstanding.penalty);
+    const currentInstallment = this.installments.find(inst => inst.status !== 'paid') ||
+        this.installments[this.installments.length - 1];
+
+    let payment = null;
+    if (settlementAmount > 0) {
+        payment = {
+            amount: settlementAmount,
+            method: paymentMethod,
+            transactionId,
+            collectedBy,
+            date: asOf,
+            installmentNumber: currentInstallment.number,
+            remainingBalance: outstanding.principal,
+            purpose: 'renewal',
+            breakdown: splitLumpSum(settlementAmount, outstanding)
+        };
+        this.payments.push(payment);
+        payment = this.payments[this.payments.length - 1];
+        this.queueLedger({ type: 'payment', payment });
+        this.totalPaid = round2(this.totalPaid + settlementAmount);
+    }
+
+    for (const inst of this.installments) {
+        if (inst.status !== 'paid') inst.status = 'settled';
     }
 
-    const startDate = this.createdAt;
-    const endDate = this.actualRepaymentDate;
-    const monthsUsed = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24 * 30.44)); // Average days per month
+    this.remainingBalance = 0;
+    this.status = 'closed';
+    this.closureReason = 'renewed';
+    this.closedDate = asOf;
+    this.renewalDate = asOf;
+    this.renewedTo = renewedTo;
+    this.actualRepaymentDate = asOf;
+    this.actualAmountPaid = this.totalPaid;
+
+    await this.save();
+    return { outstanding, settlementAmount, payment };
+};
+
+// Items still held as collateral
+loanSchema.methods.pledgedItems = function() {
+    return this.goldItems.filter(item => !item.released);
+};
 
-    // Convert yearly interest rate to monthly
-    const r = (this.interestRate / 100) / 12; // Monthly interest rate from yearly
+// Payoff to close the loan early on asOf: the principal, interest for the
+// period used and unpaid penalty, less everything paid so far. Never more
+// than the scheduled balance, so closing early never costs extra.
+loanSchema.methods.foreclosureQuote = function(asOf = new Date()) {
+    const startDate = this.disbursedAt || this.createdAt;
+    const endDate = asOf;
     const p = this.amount; // Principal amount
-    
-    // Calculate interest for actual months used
-    const interestForUsedMonths = p * r * monthsUsed;
-    const totalAmountForUsedMonths = p + interestForUsedMonths;
+    let interestForUsedPeriod;
+
+    if (this.repaymentType === 'emi') {
+        const monthsUsed = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24 * 30.44)); // Average days per month
+
+        // Convert yearly interest rate to monthly
+        const r = (this.interestRate / 100) / 12; // Monthly interest rate from yearly
 
-    return Math.round(Math.max(totalAmountForUsedMonths - this.totalPaid, 0));
+        // Calculate interest for actual months used
+        interestForUsedPeriod = p * r * monthsUsed;
+    } else {
+        // Interest-only and bullet loans accrue simple interest on the
+        // full principal for each day it was outstanding
+        const daysUsed = Math.max(Math.ceil((endDate - startDate) / DAY_MS), 1);
+        interestForUsedPeriod = p * (this.interestRate / 100) * daysUsed / 365;
+    }
+
+    const totalAmountForUsedPeriod = p + interestForUsedPeriod + this.totalPenalty;
+    const payoffAmount = Math.round(Math.min(
+        Math.max(totalAmountForUsedPeriod - this.totalPaid, 0),
+        this.remainingBalance
+    ));
+
+    return {
+        asOf,
+        principal: p,
+        interest: round2(interestForUsedPeriod),
+        penalty: this.totalPenalty,
+        totalPaid: this.totalPaid,
+        payoffAmount,
+        // Scheduled dues that closing now saves the customer
+        savings: round2(Math.max(this.remainingBalance - payoffAmount, 0))
+    };
+};
+
+// Add method to calculate early repayment amount
+loanSchema.methods.calculateEarlyRepaymentAmount = function(asOf = this.actualRepaymentDate || new Date()) {
+    return this.foreclosureQuote(asOf).payoffAmount;
+};
+
+// Close the loan early with a settlement payment of the payoff amount.
+// Installments still open are marked settled, or waived when waive is set,
+// in which case amount may be less than the payoff and the difference is
+// written off. More than the payoff is never taken.
+loanSchema.methods.foreclose = async function({ amount, paymentMethod, transactionId = null, asOf = new Date(), waive = false, settledBy }) {
+    await this.applyOverdue(asOf);
+    const quote = this.foreclosureQuote(asOf);
+    const amountPaid = amount !== undefined ? round2(Number(amount)) : quote.payoffAmount;
+
+    if (!waive && amountPaid < quote.payoffAmount) {
+        throw new Error(`Settlement amount must be at least the payoff amount of ₹${quote.payoffAmount}`);
+    }
+    if (amountPaid > quote.payoffAmount) {
+        throw new Error(`Settlement amount cannot exceed the payoff amount of ₹${quote.payoffAmount}`);
+    }
+
+    const currentInstallment = this.installments.find(inst => inst.status !== 'paid') ||
+        this.installments[this.installments.length - 1];
+
+    let payment = null;
+    if (amountPaid > 0) {
+        payment = {
+            amount: amountPaid,
+            method: paymentMethod,
+            transactionId,
+            collectedBy: settledBy,
+            date: asOf,
+            installmentNumber: currentInstallment.number,
+            remainingBalance: 0,
+            purpose: 'foreclosure',
+            breakdown: splitLumpSum(amountPaid, this.getOutstanding(asOf))
+        };
+        this.payments.push(payment);
+        payment = this.payments[this.payments.length - 1];
+        this.queueLedger({ type: 'payment', payment, postedBy: settledBy });
+        this.totalPaid = round2(this.totalPaid + amountPaid);
+    }
+    // Whatever a waived settlement did not cover is given up
+    if (waive) {
+        this.queueLedger({ type: 'writeOff', date: asOf, narration: 'Dues waived at foreclosure', postedBy: settledBy });
+    }
+
+    for (const inst of this.installments) {
+        if (inst.status !== 'paid') inst.status = waive ? 'waived' : 'settled';
+    }
+
+    this.foreclosure = {
+        date: asOf,
+        payoffAmount: quote.payoffAmount,
+        amountPaid,
+        waivedAmount: round2(Math.max(this.remainingBalance - amountPaid, 0)),
+        settledBy
+    };
+    this.remainingBalance = 0;
+    this.status = 'closed';
+    this.closureReason = 'foreclosed';
+    this.closedDate = asOf;
+    this.actualRepaymentDate = asOf;
+    this.actualAmountPaid = this.totalPaid;
+
+    await this.save();
+    return { quote, payment, foreclosure: this.foreclosure };
+};
+
+// Whether the loan can be recalled for auction on asOf: past maturity, or
+// with an installment overdue for at least minDaysPastDue days
+loanSchema.methods.isDefaultable = function(asOf = new Date(), minDaysPastDue = 90) {
+    if (this.status !== 'active' || this.remainingBalance <= 0) {
+        return false;
+    }
+    const maturity = this.installments.length > 0
+        ? this.installments[this.installments.length - 1].dueDate
+        : null;
+    const longestOverdue = Math.max(0, ...this.installments
+        .filter(inst => inst.status !== 'paid')
+        .map(inst => Math.floor((asOf - inst.dueDate) / DAY_MS)));
+    return (maturity && maturity < asOf) || longestOverdue >= minDaysPastDue;
+};
+
+// Apply the net proceeds of an auction to the loan and mark it auctioned.
+// Proceeds beyond what is owed are the customer's surplus; any balance
+// left unpaid stays as remainingBalance (the shortfall).
+loanSchema.methods.applyAuctionProceeds = async function({ netProceeds, saleDate = new Date() }) {
+    await this.applyOverdue(saleDate);
+    const outstanding = this.getOutstanding(saleDate);
+    const applied = round2(Math.min(Math.max(netProceeds, 0), outstanding.total));
+    const currentInstallment = this.installments.find(inst => inst.status !== 'paid') ||
+        this.installments[this.installments.length - 1];
+    const shortfall = round2(outstanding.total - applied);
+
+    if (applied > 0) {
+        this.payments.push({
+            amount: applied,
+            method: 'handcash',
+            date: saleDate,
+            installmentNumber: currentInstallment.number,
+            remainingBalance: shortfall,
+            purpose: 'auction',
+            breakdown: splitLumpSum(applied, outstanding)
+        });
+        this.queueLedger({ type: 'payment', payment: this.payments[this.payments.length - 1] });
+        this.totalPaid = round2(this.totalPaid + applied);
+    }
+    const surplus = round2(Math.max(netProceeds, 0) - applied);
+    if (surplus > 0) {
+        this.queueLedger({ type: 'auctionSurplus', amount: surplus, date: saleDate });
+    }
+
+    for (const inst of this.installments) {
+        if (inst.status !== 'paid') inst.status = 'settled';
+    }
+    for (const item of this.pledgedItems()) {
+        item.released = true;
+        item.releasedAt = saleDate;
+    }
+
+    this.remainingBalance = shortfall;
+    this.status = 'auctioned';
+    this.closedDate = saleDate;
+    this.actualRepaymentDate = saleDate;
+    this.actualAmountPaid = this.totalPaid;
+
+    await this.save();
+    return {
+        outstanding,
+        applied,
+        surplus,
+        shortfall
+    };
+};
+
+// Record money recovered from the customer towards an auction shortfall,
+// or write the shortfall off (writeOff) so nothing is left owing
+loanSchema.methods.settleAuctionShortfall = async function({ amount = 0, paymentMethod, transactionId = null, collectedBy = null, writeOff = false }) {
+    const recovered = round2(Math.min(Math.max(amount, 0), this.remainingBalance));
+
+    if (recovered > 0) {
+        this.payments.push({
+            amount: recovered,
+            method: paymentMethod,
+            transactionId,
+            collectedBy,
+            installmentNumber: this.installments[this.installments.length - 1].number,
+            remainingBalance: round2(this.remainingBalance - recovered),
+            purpose: 'auction',
+            // A shortfall is what the sale left of the total dues, so it
+            // is recorded against principal
+            breakdown: { penalty: 0, interest: 0, principal: recovered }
+        });
+        this.queueLedger({ type: 'recovery', payment: this.payments[this.payments.length - 1] });
+        this.totalPaid = round2(this.totalPaid + recovered);
+        this.remainingBalance = round2(this.remainingBalance - recovered);
+    }
+
+    const writtenOff = writeOff ? this.remainingBalance : 0;
+    if (writeOff) {
+        this.remainingBalance = 0;
+        this.queueLedger({ type: 'writeOff', date: new Date(), narration: 'Auction shortfall written off' });
+    }
+    this.actualAmountPaid = this.totalPaid;
+
+    await this.save();
+    return { recovered, writtenOff };
 };
 
 module.exports = mongoose.model('Loan', loanSchema); 
\ No newline at end of file
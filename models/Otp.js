@@ -3,7 +3,19 @@ const mongoose = require('mongoose');
 const otpSchema = new mongoose.Schema({
   email: { type: String, required: true },
   otp: { type: String, required: true },
-  expiresAt: { type: Date, required: true }
+  expiresAt: { type: Date, required: true },
+  // What the code is for: resetting a password, or linking a login to a
+  // customer record
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'customer_link'],
+    default: 'password_reset'
+  },
+  // For customer_link: the login asking, and the customer record it asked for
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+  // Wrong codes tried against this one
+  attempts: { type: Number, default: 0 }
 });
 
-module.exports = mongoose.model('Otp', otpSchema); 
\ No newline at end of file
+module.exports = mongoose.model('Otp', otpSchema);
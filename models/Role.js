@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+
+// Everything a route can be guarded by. Roles grant a subset of these.
+const PERMISSIONS = {
+  'loan.view': 'View loans, their schedules and payment history',
+  'loan.apply': 'Apply for a loan as a customer',
+  'portal.use': 'See one\'s own loans, schedule, payments and receipts, and upload one\'s own KYC documents, as a customer',
+  'loan.quote': 'Quote installments for a prospective loan',
+  'loan.create': 'Grant a gold loan to a customer',
+  'loan.approve': 'Approve or reject loans created by staff who cannot approve them',
+  'loan.update': 'Edit a loan',
+  'loan.renew': 'Renew a loan',
+  'loan.release': 'Release pledged gold',
+  'loan.foreclose': 'Quote and settle a loan early',
+  'loan.waive': 'Waive dues when settling a loan',
+  'payment.create': 'Record a payment',
+  'payment.reverse': 'Reverse a recorded payment',
+  'customer.view': 'View customers',
+  'customer.update': 'Edit customers and sync them from loans',
+  'customer.delete': 'Delete customers',
+  'kyc.view': 'View and download customers\' KYC documents',
+  'kyc.upload': 'Upload customers\' KYC documents',
+  'kyc.verify': 'Verify or reject customers\' KYC documents',
+  'employee.manage': 'Add, edit and remove staff',
+  'role.manage': 'Configure roles and their permissions',
+  'branch.manage': 'Add, edit and remove branches',
+  'branch.all': 'Work across every branch, not only one\'s own',
+  'scheme.view': 'View loan schemes',
+  'scheme.manage': 'Add, edit and remove loan schemes',
+  'auction.view': 'View auctions and notices',
+  'auction.manage': 'Send notices and schedule, sell, settle and cancel auctions',
+  'ledger.view': 'View the ledger, trial balance and day book',
+  'cashbook.till': 'Open and close one\'s own cash till',
+  'cashbook.review': 'View every till and approve or reopen closed ones',
+  'goldrate.view': 'View the gold rate history',
+  'goldrate.update': 'Update the gold rate',
+  'settings.view': 'View lending settings',
+  'settings.update': 'Update the LTV ratio and penalty settings',
+  'report.view': 'View reports',
+  'audit.view': 'View the audit log'
+};
+
+// Roles created on startup. The admin role always holds every permission,
+// so the system cannot be locked out by editing it.
+const ADMIN_ROLE = 'admin';
+const DEFAULT_ROLES = [
+  {
+    name: ADMIN_ROLE,
+    description: 'Full access',
+    permissions: Object.keys(PERMISSIONS),
+    isSystem: true
+  },
+  {
+    name: 'employee',
+    description: 'Branch staff',
+    permissions: [
+      'loan.view', 'loan.quote', 'loan.create', 'loan.release', 'loan.foreclose',
+      'payment.create', 'customer.view', 'kyc.view', 'kyc.upload', 'scheme.view', 'cashbook.till',
+      'goldrate.view'
+    ],
+    isSystem: true
+  },
+  {
+    name: 'user',
+    description: 'Customer',
+    permissions: ['loan.view', 'loan.apply', 'loan.quote', 'portal.use'],
+    isSystem: true
+  }
+];
+
+// A named set of permissions. A user's role field holds the role's name.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a role name'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_-]{1,29}$/, 'Role name must be 2-30 lowercase letters, digits, dashes or underscores, starting with a letter']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  permissions: {
+    type: [String],
+    validate: {
+      validator: permissions => permissions.every(permission => PERMISSIONS[permission]),
+      message: props => `Unknown permission in: ${props.value.join(', ')}`
+    }
+  },
+  // Default roles can be edited but not renamed or deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  // Default permissions a default role has been granted, so that one taken
+  // away is not granted again on the next startup
+  defaultsApplied: [String],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+roleSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Permissions per role name, cached briefly so every request does not read
+// the roles collection. Saving or deleting a role clears the cache in this
+// process; other processes pick the change up once their cache expires.
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+roleSchema.post('save', () => cache.clear());
+roleSchema.post('deleteOne', { document: true, query: false }, () => cache.clear());
+
+// The permissions granted to a role name; none for an unknown role
+roleSchema.statics.permissionsFor = async function(name) {
+  if (name === ADMIN_ROLE) {
+    return Object.keys(PERMISSIONS);
+  }
+  const cached = cache.get(name);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.permissions;
+  }
+  const role = await this.findOne({ name }).lean();
+  const permissions = role ? role.permissions : [];
+  cache.set(name, { permissions, loadedAt: Date.now() });
+  return permissions;
+};
+
+roleSchema.statics.hasPermission = async function(name, permission) {
+  const permissions = await this.permissionsFor(name);
+  return permissions.includes(permission);
+};
+
+// Create any default roles that are missing, grant the default roles any
+// default permissions added since they were created, and take back any that
+// are no longer defaults
+roleSchema.statics.ensureDefaults = async function() {
+  await Promise.all(DEFAULT_ROLES.map(async role => {
+    await this.updateOne(
+      { name: role.name },
+      { $setOnInsert: { ...role, defaultsApplied: role.permissions } },
+      { upsert: true }
+    );
+    const existing = await this.findOne({ name: role.name }).lean();
+    const applied = existing.defaultsApplied || [];
+    const added = role.permissions.filter(permission => !applied.includes(permission));
+    if (added.length > 0) {
+      await this.updateOne(
+        { name: role.name },
+        { $addToSet: { permissions: { $each: added }, defaultsApplied: { $each: added } } }
+      );
+    }
+    const withdrawn = applied.filter(permission => !role.permissions.includes(permission));
+    if (withdrawn.length > 0) {
+      await this.updateOne(
+        { name: role.name },
+        { $pull: { permissions: { $in: withdrawn }, defaultsApplied: { $in: withdrawn } } }
+      );
+    }
+  }));
+  cache.clear();
+};
+
+roleSchema.statics.PERMISSIONS = PERMISSIONS;
+roleSchema.statics.ADMIN_ROLE = ADMIN_ROLE;
+
+module.exports = mongoose.model('Role', roleSchema);
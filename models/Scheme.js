@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const { REPAYMENT_TYPES } = require('../utils/loanCalculator');
+const penaltyRuleSchema = require('./penaltyRuleSchema');
+
+// A band of loan amounts, optionally with its own interest rate
+const amountSlabSchema = new mongoose.Schema({
+    minAmount: {
+        type: Number,
+        required: true,
+        min: [0, 'Slab minimum cannot be negative']
+    },
+    maxAmount: {
+        type: Number,
+        required: true
+    },
+    // Yearly rate for this slab; the scheme's rate applies when unset
+    interestRate: {
+        type: Number,
+        min: [0, 'Interest rate cannot be negative']
+    }
+}, { _id: false });
+
+const schemeSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please provide a scheme name'],
+        unique: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // Yearly interest rate, in percent
+    interestRate: {
+        type: Number,
+        required: [true, 'Please provide interest rate'],
+        min: [0, 'Interest rate cannot be negative']
+    },
+    minTerm: {
+        type: Number,
+        required: [true, 'Please provide minimum term in months'],
+        min: [1, 'Minimum term cannot be less than 1 month']
+    },
+    maxTerm: {
+        type: Number,
+        required: [true, 'Please provide maximum term in months']
+    },
+    // Allowed loan amounts; any amount is allowed when empty
+    amountSlabs: [amountSlabSchema],
+    // Maximum loan amount as a percentage of the gold's market value;
+    // the LTV ratio in Settings applies when unset
+    ltvCap: {
+        type: Number,
+        min: [1, 'LTV cap must be at least 1%'],
+        max: [100, 'LTV cap cannot exceed 100%']
+    },
+    repaymentType: {
+        type: String,
+        enum: REPAYMENT_TYPES,
+        default: 'emi'
+    },
+    penalty: {
+        type: penaltyRuleSchema,
+        default: () => ({})
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Check the term range and slab bounds before saving
+schemeSchema.pre('validate', function(next) {
+    if (this.maxTerm < this.minTerm) {
+        this.invalidate('maxTerm', 'Maximum term cannot be less than minimum term');
+    }
+    this.amountSlabs.forEach((slab, index) => {
+        if (slab.maxAmount < slab.minAmount) {
+            this.invalidate(`amountSlabs.${index}.maxAmount`, 'Slab maximum cannot be less than slab minimum');
+        }
+    });
+    next();
+});
+
+// Update the updatedAt timestamp before saving
+schemeSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+// The slab an amount falls in, if the scheme has slabs
+schemeSchema.methods.slabFor = function(amount) {
+    return this.amountSlabs.find(slab => amount >= slab.minAmount && amount <= slab.maxAmount);
+};
+
+// Yearly interest rate for a loan of this amount
+schemeSchema.methods.rateForAmount = function(amount) {
+    const slab = this.slabFor(amount);
+    return slab && slab.interestRate !== undefined && slab.interestRate !== null
+        ? slab.interestRate
+        : this.interestRate;
+};
+
+// Reasons a loan of this amount and term does not fit the scheme
+schemeSchema.methods.validateLoan = function({ amount, term }) {
+    const errors = [];
+    if (!(term >= this.minTerm && term <= this.maxTerm)) {
+        errors.push(`Term must be between ${this.minTerm} and ${this.maxTerm} months for scheme ${this.name}`);
+    }
+    if (this.amountSlabs.length > 0 && !this.slabFor(amount)) {
+        const ranges = this.amountSlabs.map(slab => `₹${slab.minAmount}-₹${slab.maxAmount}`).join(', ');
+        errors.push(`Loan amount must fall in one of the slabs of scheme ${this.name}: ${ranges}`);
+    }
+    return errors;
+};
+
+// An active scheme by id, or null
+schemeSchema.statics.findActive = function(id) {
+    if (!mongoose.isValidObjectId(id)) {
+        return Promise.resolve(null);
+    }
+    return this.findOne({ _id: id, isActive: true });
+};
+
+module.exports = mongoose.model('Scheme', schemeSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const penaltyRuleSchema = require('./penaltyRuleSchema');
 
 const SettingsSchema = new mongoose.Schema({
   goldRate: {
@@ -6,10 +7,34 @@ const SettingsSchema = new mongoose.Schema({
     required: true,
     default: 7000
   },
+  // Maximum loan amount as a percentage of the pledged gold's market value
+  ltvRatio: {
+    type: Number,
+    default: 75,
+    min: [1, 'LTV ratio must be at least 1%'],
+    max: [100, 'LTV ratio cannot exceed 100%']
+  },
+  // What to do with a loan above the LTV ceiling: refuse it, or create it and flag it
+  ltvAction: {
+    type: String,
+    enum: ['reject', 'flag'],
+    default: 'reject'
+  },
+  // Penalty for overdue installments on loans without a scheme rule
+  penalty: {
+    type: penaltyRuleSchema,
+    default: () => ({})
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
   }
 });
 
-module.exports = mongoose.model('Settings', SettingsSchema); 
\ No newline at end of file
+// Return the settings document, or an unsaved one holding the defaults
+SettingsSchema.statics.getCurrent = async function() {
+  const settings = await this.findOne();
+  return settings || new this();
+};
+
+module.exports = mongoose.model('Settings', SettingsSchema);
@@ -20,10 +20,24 @@ const userSchema = new mongoose.Schema({
         minlength: 6,
         select: false
     },
+    // Name of the user's role, which grants their permissions (see Role)
     role: {
         type: String,
-        enum: ['user', 'admin', 'employee'],
-        default: 'user'
+        default: 'user',
+        trim: true
+    },
+    // Customer record a customer's login is linked to, once they have
+    // proved it is theirs (see /api/portal/link)
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        unique: true,
+        sparse: true
+    },
+    // Branch an employee works at; admins may have one but see every branch
+    branch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch'
     },
     createdAt: {
         type: Date,
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// How overdue installments are charged. Embedded in Settings (the default
+// rule), Scheme (a scheme's rule) and Loan (the rule a loan was given).
+const penaltyRuleSchema = new mongoose.Schema({
+    // Yearly rate charged on overdue installment amounts, in percent
+    penalRate: {
+        type: Number,
+        default: 0,
+        min: [0, 'Penal rate cannot be negative']
+    },
+    // One-off fee per overdue installment
+    lateFee: {
+        type: Number,
+        default: 0,
+        min: [0, 'Late fee cannot be negative']
+    },
+    // Days after the due date before an installment counts as overdue
+    graceDays: {
+        type: Number,
+        default: 0,
+        min: [0, 'Grace days cannot be negative']
+    }
+}, { _id: false });
+
+module.exports = penaltyRuleSchema;
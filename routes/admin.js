@@ -1,17 +1,31 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Loan = require('../models/Loan');
 const Customer = require('../models/Customer');
 const User = require('../models/User');
+const Scheme = require('../models/Scheme');
+const Branch = require('../models/Branch');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
 const auth = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+const idempotency = require('../middleware/idempotency');
+const openTill = require('../middleware/openTill');
+const branchScope = require('../middleware/branchScope');
+const loanAccess = require('../middleware/loanAccess');
 const { sendBrevoEmail } = require('../utils/brevo');
+const { generateLoanId } = require('../utils/loanIdGenerator');
+const { createCustomerAndLoan, auditLoanCreation, sendLoanCreationEmails, sendLoanConfirmationEmail } = require('../utils/loanOrigination');
+const { assessLoanToValue, validateGoldItems } = require('../utils/goldValuation');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { round2 } = require('../utils/loanCalculator');
 const crypto = require('crypto');
 
 // @route   GET /api/admin/check-aadhar/:aadharNumber
 // @desc    Check if an Aadhar number exists and get customer details
-router.get('/check-aadhar/:aadharNumber', [auth, adminAuth], async (req, res) => {
+router.get('/check-aadhar/:aadharNumber', [auth, requirePermission('customer.view', 'branch.all')], async (req, res) => {
     try {
         console.log('Checking Aadhar:', req.params.aadharNumber);
         // Check both aadharNumber and customerId fields
@@ -46,10 +60,13 @@ router.get('/check-aadhar/:aadharNumber', [auth, adminAuth], async (req, res) =>
 });
 
 // @route   POST /api/admin/loans
-// @desc    Create a new loan as admin
+// @desc    Create a new loan as admin. It waits for approval unless the caller
+//          can approve loans.
 router.post('/loans', [
     auth,
-    adminAuth,
+    requirePermission('loan.create', 'branch.all'),
+    idempotency,
+    openTill,
     body('aadharNumber')
         .matches(/^\d{12}$/).withMessage('Aadhar number must be exactly 12 digits'),
     // Validate numeric fields with correct field names
@@ -61,16 +78,8 @@ router.post('/loans', [
         .optional()
         .isNumeric().withMessage('Duration must be a number')
         .isInt({ min: 1 }).withMessage('Duration must be at least 1 month'),
-    body('interestRate')
-        .exists().withMessage('Interest rate is required')
-        .isNumeric().withMessage('Interest rate must be a number')
-        .isFloat({ min: 0 }).withMessage('Interest rate cannot be negative'),
-    body('monthlyPayment')
-        .exists().withMessage('Monthly payment is required')
-        .isNumeric().withMessage('Monthly payment must be a number'),
-    body('totalPayment')
-        .exists().withMessage('Total payment is required')
-        .isNumeric().withMessage('Total payment must be a number')
+    // The scheme supplies the interest rate and repayment type
+    body('schemeId').notEmpty().withMessage('A loan scheme is required')
 ], async (req, res) => {
     try {
         // Check for validation errors
@@ -94,197 +103,102 @@ router.post('/loans', [
             permanentAddress,
             emergencyContact,
             goldItems,
-            interestRate,
             amount,
             loanAmount,
             term,
             duration,
-            monthlyPayment,
-            totalPayment
+            schemeId
         } = req.body;
 
         // Use the correct field names, falling back to alternates if needed
         const finalAmount = amount || loanAmount;
         const finalTerm = term || duration;
 
-        // Find or create customer
-        let customer = await Customer.findOne({ aadharNumber });
-        let isNewCustomer = false;
-        
-        if (!customer) {
-            // Create new customer
-            customer = await Customer.create({
-                aadharNumber,
-                name,
-                email,
-                primaryMobile,
-                secondaryMobile,
-                presentAddress,
-                permanentAddress,
-                emergencyContact
+        // The loan belongs to the branch named in branchId, else the admin's own
+        const branchId = req.body.branchId || req.user.branch;
+        const branch = branchId ? await Branch.findActive(branchId) : null;
+        if (branchId && !branch) {
+            return res.status(400).json({
+                errors: [{ msg: 'Branch not found or inactive' }]
             });
-            isNewCustomer = true;
+        }
 
-            // Send welcome email to new customer
-            try {
-                await sendBrevoEmail({
-                    to: email,
-                    subject: 'Welcome to Cyan Finance',
-                    html: `
-                        <p>Dear ${name},</p>
-                        <p>Welcome to Cyan Finance! We're pleased to have you as our customer.</p>
-                        <p>Your account has been successfully created with the following details:</p>
-                        <ul>
-                            <li>Name: ${name}</li>
-                            <li>Email: ${email}</li>
-                            <li>Primary Mobile: ${primaryMobile}</li>
-                            ${secondaryMobile ? `<li>Secondary Mobile: ${secondaryMobile}</li>` : ''}
-                        </ul>
-                        <p>If you have any questions or need assistance, please don't hesitate to contact us.</p>
-                        <p>Best regards,<br/>Cyan Finance Team</p>
-                    `
-                });
-            } catch (emailErr) {
-                console.error('Failed to send welcome email:', emailErr);
-                // Continue with loan creation even if email fails
-            }
-        } else {
-            // Update existing customer's information
-            customer.name = name;
-            customer.email = email;
-            customer.primaryMobile = primaryMobile;
-            customer.secondaryMobile = secondaryMobile;
-            customer.presentAddress = presentAddress;
-            customer.permanentAddress = permanentAddress;
-            customer.emergencyContact = emergencyContact;
-            await customer.save();
-        }
-
-        // Validate goldItems array
-        if (!Array.isArray(goldItems) || goldItems.length === 0) {
+        // Take the rate and repayment type from the scheme, and hold the loan to its limits
+        const scheme = await Scheme.findActive(schemeId);
+        if (!scheme) {
             return res.status(400).json({
-                errors: [{ msg: 'At least one gold item must be provided' }]
+                errors: [{ msg: 'Loan scheme not found or inactive' }]
+            });
+        }
+        const schemeErrors = scheme.validateLoan({ amount: Number(finalAmount), term: Number(finalTerm) });
+        if (schemeErrors.length > 0) {
+            return res.status(400).json({
+                errors: schemeErrors.map(msg => ({ msg }))
             });
         }
 
-        // Validate each gold item
-        const invalidGoldItems = goldItems.filter(
-            item => !item.description || !item.grossWeight || !item.netWeight
-        );
+        const goldItemErrors = validateGoldItems(goldItems);
+        if (goldItemErrors.length > 0) {
+            return res.status(400).json({
+                errors: goldItemErrors.map(msg => ({ msg }))
+            });
+        }
 
-        if (invalidGoldItems.length > 0) {
+        // Value the pledged gold at the current rate and check the LTV ceiling
+        const { valuation, action: ltvAction } = await assessLoanToValue(goldItems, Number(finalAmount), {
+            ltvRatio: scheme.ltvCap
+        });
+        if (valuation.ltvExceeded && ltvAction === 'reject') {
             return res.status(400).json({
-                errors: [{ msg: 'Each gold item must have description, grossWeight, and netWeight' }]
+                errors: [{ msg: `Loan amount exceeds the eligible amount of ₹${valuation.eligibleAmount} for the pledged gold` }],
+                valuation
             });
         }
 
-        // Generate custom loanId
-        const now = new Date();
-        const year = now.getFullYear() % 1000; // last 3 digits
-        const month = (now.getMonth() + 1).toString().padStart(2, '0');
-        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-        const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
-        const loanCount = await Loan.countDocuments({ createdAt: { $gte: monthStart, $lte: monthEnd } }) + 1;
-        const loanId = `CY${year}${month}${loanCount.toString().padStart(2, '0')}`;
-
-        // Create new loan data
+        // Create new loan data; the customer's details are added from the saved customer
         const loanData = {
-            customerId: customer._id,
-            aadharNumber: customer.aadharNumber,
-            name: customer.name,
-            email: customer.email,
-            primaryMobile: customer.primaryMobile,
-            secondaryMobile: customer.secondaryMobile,
-            presentAddress: customer.presentAddress,
-            permanentAddress: customer.permanentAddress,
-            emergencyContact: customer.emergencyContact,
             goldItems,
-            interestRate: Number(interestRate),
+            valuation,
+            branch: branch ? branch._id : undefined,
+            scheme: scheme._id,
+            penaltyRule: scheme.penalty,
+            interestRate: scheme.rateForAmount(Number(finalAmount)),
             amount: Number(finalAmount),
             term: Number(finalTerm),
-            monthlyPayment: Number(monthlyPayment),
-            totalPayment: Number(totalPayment),
-            status: 'active',
+            repaymentType: scheme.repaymentType,
+            // monthlyPayment, totalPayment and remainingBalance are computed by the model.
+            // Staff who cannot approve loans create them for an approver to check
+            status: req.permissions.includes('loan.approve') ? 'active' : 'pending_approval',
             createdBy: req.user._id,
-            loanId,
-            remainingBalance: Number(totalPayment),
             totalPaid: 0,
             payments: []
         };
 
         console.log('Creating new loan with data:', JSON.stringify(loanData, null, 2));
 
-        try {
-            // Create new loan
-            const loan = await Loan.create(loanData);
-            console.log('Loan created successfully:', loan);
-
-            // Send loan confirmation email
-            try {
-                await sendBrevoEmail({
-                    to: loan.email,
-                    subject: 'Loan Confirmation - Cyan Finance',
-                    html: `
-                        <p>Dear ${loan.name},</p>
-                        <p>Your loan has been successfully created with the following details:</p>
-                        <p><b>Loan Details:</b></p>
-                        <ul>
-                            <li>Loan ID: ${loan.loanId}</li>
-                            <li>Loan Amount: ₹${loan.amount}</li>
-                            <li>Term: ${loan.term} months</li>
-                            <li>Interest Rate: ${loan.interestRate}%</li>
-                            <li>Monthly Payment: ₹${loan.monthlyPayment}</li>
-                            <li>Total Payment: ₹${loan.totalPayment}</li>
-                        </ul>
-                        <p><b>Gold Items:</b></p>
-                        <ul>
-                            ${loan.goldItems.map(item => `
-                                <li>${item.description} - Gross Weight: ${item.grossWeight}g, Net Weight: ${item.netWeight}g</li>
-                            `).join('')}
-                        </ul>
-                        <p>Please ensure timely payment of your monthly installments.</p>
-                        <p>If you have any questions, please don't hesitate to contact us.</p>
-                        <p>Best regards,<br/>Cyan Finance Team</p>
-                    `
-                });
-            } catch (emailErr) {
-                console.error('Failed to send loan confirmation email:', emailErr);
-                // Continue with response even if email fails
-            }
-
-            res.status(201).json({
-                success: true,
-                data: loan
-            });
-        } catch (err) {
-            console.error('Error creating loan:', err);
-            console.error('Error details:', {
-                name: err.name,
-                message: err.message,
-                stack: err.stack
-            });
-
-            // Check for specific MongoDB validation errors
-            if (err.name === 'ValidationError') {
-                const validationErrors = Object.values(err.errors).map(error => ({
-                    msg: error.message
-                }));
-                return res.status(400).json({ errors: validationErrors });
-            }
+        // Everything is validated, so write the customer and the loan together
+        const created = await createCustomerAndLoan({
+            aadharNumber,
+            name,
+            email,
+            primaryMobile,
+            secondaryMobile,
+            presentAddress,
+            permanentAddress,
+            emergencyContact
+        }, loanData);
+        const { loan } = created;
+        console.log('Loan created successfully:', loan);
+        await auditLoanCreation(req, created);
 
-            // Check for MongoDB duplicate key errors
-            if (err.code === 11000) {
-                return res.status(400).json({
-                    errors: [{ msg: 'Duplicate key error. This record already exists.' }]
-                });
-            }
+        // Emails go out only once the transaction has committed
+        await sendLoanCreationEmails(created);
 
-            res.status(500).json({ 
-                message: 'Server error',
-                error: err.message,
-                details: err.name
-            });
-        }
+        res.status(201).json({
+            success: true,
+            data: loan,
+            valuation
+        });
     } catch (err) {
         console.error('Error creating loan:', err);
         console.error('Error details:', {
@@ -317,10 +231,17 @@ router.post('/loans', [
 });
 
 // @route   GET /api/admin/loans
-// @desc    Get all loans (admin only)
-router.get('/loans', [auth, adminAuth], async (req, res) => {
+// @desc    Get all loans, or one branch's with ?branch=
+router.get('/loans', [auth, requirePermission('loan.view', 'branch.all')], async (req, res) => {
     try {
-        const loans = await Loan.find().sort({ createdAt: -1 });
+        const filter = {};
+        if (req.query.branch) {
+            if (!mongoose.isValidObjectId(req.query.branch)) {
+                return res.status(400).json({ message: 'Invalid branch' });
+            }
+            filter.branch = req.query.branch;
+        }
+        const loans = await Loan.find(filter).sort({ createdAt: -1 });
         res.json({
             success: true,
             data: loans
@@ -332,10 +253,18 @@ router.get('/loans', [auth, adminAuth], async (req, res) => {
 });
 
 // @route   GET /api/admin/customers
-// @desc    Get all customers who have taken at least one loan
-router.get('/customers', [auth, adminAuth], async (req, res) => {
+// @desc    Get all customers who have taken at least one loan, or at one branch with ?branch=
+router.get('/customers', [auth, requirePermission('customer.view', 'branch.all')], async (req, res) => {
     try {
+        const match = {};
+        if (req.query.branch) {
+            if (!mongoose.isValidObjectId(req.query.branch)) {
+                return res.status(400).json({ message: 'Invalid branch' });
+            }
+            match.branch = new mongoose.Types.ObjectId(req.query.branch);
+        }
         const customers = await Loan.aggregate([
+            { $match: match },
             {
                 $group: {
                     _id: '$aadharNumber',
@@ -399,27 +328,61 @@ router.get('/customers', [auth, adminAuth], async (req, res) => {
 });
 
 // @route   PUT /api/admin/loans/:id
-// @desc    Update a loan as admin
-router.put('/loans/:id', [auth, adminAuth], async (req, res) => {
+// @desc    Update a loan as admin. New gold items replace those still pledged and
+//          are revalued against what is owed; released items are left as they are.
+router.put('/loans/:id', [auth, requirePermission('loan.update'), loanAccess()], async (req, res) => {
   try {
     const { goldItems, depositedBank, renewalDate } = req.body;
 
-    // Validate the loan exists
-    const loan = await Loan.findById(req.params.id);
-    if (!loan) {
-      return res.status(404).json({ message: 'Loan not found' });
-    }
+    const loan = req.loan;
+    const before = snapshot(loan);
 
-    // Update the loan
-    loan.goldItems = goldItems;
-    loan.depositedBank = depositedBank;
-    loan.renewalDate = renewalDate;
+    let valuation;
+    if (goldItems !== undefined) {
+      if (!loan.isOpen() && loan.status !== 'pending_approval') {
+        return res.status(400).json({ message: `Gold items cannot be changed on a ${loan.status} loan` });
+      }
+      // The given items replace those still pledged; released items are
+      // kept as they were
+      const goldItemErrors = validateGoldItems(goldItems);
+      if (goldItemErrors.length > 0) {
+        return res.status(400).json({ errors: goldItemErrors.map(msg => ({ msg })) });
+      }
+      const pledged = goldItems.map(({ released, releasedAt, releasedBy, fineWeight, ...item }) => item);
+
+      // The gold must still cover what is owed, at the LTV ratio the loan was granted under
+      const owed = loan.isOpen() ? loan.getOutstanding().total : loan.amount;
+      const assessment = await assessLoanToValue(pledged, owed, {
+        ltvRatio: loan.valuation ? loan.valuation.ltvRatio : undefined
+      });
+      valuation = assessment.valuation;
+      if (valuation.ltvExceeded && assessment.action === 'reject') {
+        return res.status(400).json({
+          errors: [{ msg: `The gold only covers ₹${valuation.eligibleAmount} of the ₹${owed} owed on the loan` }],
+          valuation
+        });
+      }
+
+      loan.goldItems = [...loan.goldItems.filter(item => item.released), ...pledged];
+      loan.valuation = valuation;
+    }
+    if (depositedBank !== undefined) loan.depositedBank = depositedBank;
+    if (renewalDate !== undefined) loan.renewalDate = renewalDate;
 
     await loan.save();
+    await recordAudit(req, {
+      action: 'loan.update',
+      entityType: 'Loan',
+      entityId: loan._id,
+      entityRef: loan.loanId,
+      before,
+      after: loan
+    });
 
     res.json({
       success: true,
-      data: loan
+      data: loan,
+      valuation
     });
   } catch (err) {
     console.error('Error updating loan:', err);
@@ -427,9 +390,413 @@ router.put('/loans/:id', [auth, adminAuth], async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/approvals
+// @desc    Get the loans waiting for approval, oldest first, for the caller's branch
+//          or, for staff working across branches, every branch or one with ?branch=
+router.get('/approvals', [auth, requirePermission('loan.approve'), branchScope], async (req, res) => {
+    try {
+        const filter = { status: 'pending_approval' };
+        if (req.query.branch) {
+            if (!mongoose.isValidObjectId(req.query.branch)) {
+                return res.status(400).json({ message: 'Invalid branch' });
+            }
+            filter.branch = req.query.branch;
+        }
+        const loans = await Loan.find({ ...filter, ...req.branchFilter })
+            .sort({ createdAt: 1 })
+            .populate('createdBy', 'name email')
+            .populate('branch', 'name code');
+        res.json({ success: true, data: loans });
+    } catch (err) {
+        console.error('Error fetching loans pending approval:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// The loan loaded by loanAccess, if it is waiting for approval and the
+// caller may decide on it; else send the reason they may not
+function findLoanForApproval(req, res) {
+    const loan = req.loan;
+    if (loan.status !== 'pending_approval') {
+        res.status(400).json({ message: `Loan is not pending approval; it is ${loan.status}` });
+        return null;
+    }
+    // Whoever made the loan cannot also be the one to check it
+    if (loan.createdBy.equals(req.user._id)) {
+        res.status(403).json({ message: 'You cannot decide on a loan you created' });
+        return null;
+    }
+    return loan;
+}
+
+// @route   POST /api/admin/loans/:id/approve
+// @desc    Approve a loan waiting for approval: schedule it from today, pay it out
+//          from the approver's till and send the customer their loan confirmation.
+//          A renewal also settles and closes the loan it renews, collecting its
+//          interest and penalty by paymentMethod.
+router.post('/loans/:id/approve', [auth, requirePermission('loan.approve'), loanAccess(), openTill, [
+    body('comments').optional().trim(),
+    body('paymentMethod').if((value, { req }) => req.loan.renewedFrom).isIn(['handcash', 'online']).withMessage('Invalid payment method'),
+    body('transactionId').if(body('paymentMethod').equals('online')).notEmpty().withMessage('Transaction ID is required for online payments')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const found = findLoanForApproval(req, res);
+        if (!found) return;
+        // A customer's application has no gold until staff take it in
+        if (found.pledgedItems().length === 0) {
+            return res.status(400).json({ message: 'Add the pledged gold to the loan before approving it' });
+        }
+        const before = snapshot(found);
+
+        let loan = found;
+        let previousLoan;
+        let previousBefore;
+        if (!found.renewedFrom) {
+            await loan.approve({ approvedBy: req.user._id, comments: req.body.comments });
+        } else {
+            const { paymentMethod, transactionId } = req.body;
+            if (paymentMethod === 'online' && await Loan.isTransactionIdUsed(transactionId)) {
+                return res.status(409).json({ message: `Transaction ID ${transactionId} has already been recorded` });
+            }
+
+            // The renewal was worked out on the old loan as it stood then; if it
+            // has been paid or closed since, the renewal has to be made again
+            const previous = await Loan.findById(found.renewedFrom);
+            if (!previous || previous.status !== 'active') {
+                return res.status(400).json({ message: `The loan being renewed is ${previous ? previous.status : 'missing'}; reject this renewal` });
+            }
+            if (round2(previous.getOutstanding().principal) !== round2(found.carriedPrincipal)) {
+                return res.status(400).json({ message: 'The loan being renewed has been paid since this renewal was made; reject it and renew again' });
+            }
+            previousBefore = snapshot(previous);
+
+            // Pay out the new loan and close the old one together, as a renewal does
+            const session = await mongoose.startSession();
+            try {
+                await session.withTransaction(async () => {
+                    loan = await Loan.findOne({ _id: found._id, __v: found.__v }).session(session);
+                    previousLoan = await Loan.findOne({ _id: previous._id, __v: previous.__v }).session(session);
+                    if (!loan || !previousLoan) {
+                        throw new mongoose.Error.VersionError(found, found.__v, []);
+                    }
+
+                    await loan.approve({ approvedBy: req.user._id, comments: req.body.comments });
+                    await previousLoan.settleForRenewal(loan._id, {
+                        paymentMethod,
+                        transactionId,
+                        collectedBy: req.user._id
+                    });
+                });
+            } finally {
+                await session.endSession();
+            }
+        }
+
+        await recordAudit(req, {
+            action: 'loan.approve',
+            entityType: 'Loan',
+            entityId: loan._id,
+            entityRef: loan.loanId,
+            before,
+            after: loan
+        });
+        if (previousLoan) {
+            await recordAudit(req, {
+                action: 'loan.renew',
+                entityType: 'Loan',
+                entityId: previousLoan._id,
+                entityRef: previousLoan.loanId,
+                before: previousBefore,
+                after: previousLoan,
+                details: { renewedTo: loan.loanId }
+            });
+        }
+
+        try {
+            await sendLoanConfirmationEmail(loan);
+        } catch (emailErr) {
+            console.error('Failed to send loan confirmation email:', emailErr);
+        }
+
+        res.json({ success: true, message: 'Loan approved', data: loan, previousLoan });
+    } catch (err) {
+        console.error('Error approving loan:', err);
+        if (err.name === 'VersionError') {
+            return res.status(409).json({ message: 'The loans changed while the renewal was being approved; try again' });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/admin/loans/:id/reject
+// @desc    Reject a loan waiting for approval, saying why
+router.post('/loans/:id/reject', [auth, requirePermission('loan.approve'), loanAccess(), [
+    body('comments').trim().notEmpty().withMessage('Say why the loan is being rejected')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const loan = findLoanForApproval(req, res);
+        if (!loan) return;
+        const before = snapshot(loan);
+
+        await loan.reject({ rejectedBy: req.user._id, comments: req.body.comments });
+        await recordAudit(req, {
+            action: 'loan.reject',
+            entityType: 'Loan',
+            entityId: loan._id,
+            entityRef: loan.loanId,
+            before,
+            after: loan
+        });
+
+        res.json({ success: true, message: 'Loan rejected', data: loan });
+    } catch (err) {
+        console.error('Error rejecting loan:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/admin/loans/:id/renew
+// @desc    Renew a loan: settle its interest and penalty, close it, and open a linked
+//          new loan on the same gold for the unpaid principal plus an optional top-up.
+//          From staff who cannot approve loans, the new loan waits for approval and
+//          the old one is settled when it is approved.
+router.post('/loans/:id/renew', [
+    auth,
+    requirePermission('loan.renew'),
+    loanAccess(),
+    idempotency,
+    openTill,
+    body('paymentMethod').if((value, { req }) => req.permissions.includes('loan.approve')).isIn(['handcash', 'online']).withMessage('Invalid payment method'),
+    body('transactionId').if(body('paymentMethod').equals('online')).notEmpty().withMessage('Transaction ID is required for online payments'),
+    body('topUpAmount').optional().isFloat({ min: 0 }).withMessage('Top-up amount cannot be negative'),
+    body('term').optional().isInt({ min: 1 }).withMessage('Term must be at least 1 month')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const loan = req.loan;
+        if (loan.status !== 'active') {
+            return res.status(400).json({ message: 'Only active loans can be renewed' });
+        }
+        if (await Loan.exists({ renewedFrom: loan._id, status: 'pending_approval' })) {
+            return res.status(400).json({ message: 'A renewal of this loan is already waiting for approval' });
+        }
+        const before = snapshot(loan);
+
+        const { paymentMethod, transactionId, schemeId } = req.body;
+        const topUpAmount = Number(req.body.topUpAmount) || 0;
+        // Staff who cannot approve loans leave the renewal, and its settlement,
+        // for an approver
+        const canApprove = req.permissions.includes('loan.approve');
+        if (canApprove && paymentMethod === 'online' && await Loan.isTransactionIdUsed(transactionId)) {
+            return res.status(409).json({ message: `Transaction ID ${transactionId} has already been recorded` });
+        }
+
+        // The new loan follows the given scheme, else the old loan's scheme
+        if (!schemeId && !loan.scheme) {
+            return res.status(400).json({ errors: [{ msg: 'A loan scheme is required to renew this loan' }] });
+        }
+        const scheme = await Scheme.findActive(schemeId || loan.scheme);
+        if (!scheme) {
+            return res.status(400).json({ errors: [{ msg: 'Loan scheme not found or inactive' }] });
+        }
+
+        await loan.applyOverdue();
+        const outstanding = loan.getOutstanding();
+        if (outstanding.principal <= 0) {
+            return res.status(400).json({ message: 'Loan has no principal left to renew' });
+        }
+
+        const newAmount = Math.round((outstanding.principal + topUpAmount) * 100) / 100;
+        const newTerm = Number(req.body.term) || loan.term;
+        const schemeErrors = scheme.validateLoan({ amount: newAmount, term: newTerm });
+        if (schemeErrors.length > 0) {
+            return res.status(400).json({ errors: schemeErrors.map(msg => ({ msg })) });
+        }
+
+        // A top-up is only allowed if the gold, at today's rate, covers the larger loan
+        const { valuation } = await assessLoanToValue(loan.pledgedItems(), newAmount, {
+            ltvRatio: scheme.ltvCap
+        });
+        if (topUpAmount > 0 && valuation.ltvExceeded) {
+            return res.status(400).json({
+                errors: [{ msg: `Renewed amount exceeds the eligible amount of ₹${valuation.eligibleAmount} for the pledged gold` }],
+                outstanding,
+                valuation
+            });
+        }
+
+        // Generate custom loanId
+        const loanId = await generateLoanId();
+        const renewedLoanData = {
+            customerId: loan.customerId,
+            aadharNumber: loan.aadharNumber,
+            name: loan.name,
+            email: loan.email,
+            primaryMobile: loan.primaryMobile,
+            secondaryMobile: loan.secondaryMobile,
+            presentAddress: loan.presentAddress,
+            permanentAddress: loan.permanentAddress,
+            emergencyContact: loan.emergencyContact,
+            goldItems: loan.pledgedItems().map(item => {
+                const { _id, ...rest } = item.toObject();
+                return rest;
+            }),
+            valuation,
+            branch: loan.branch,
+            scheme: scheme._id,
+            penaltyRule: scheme.penalty,
+            interestRate: scheme.rateForAmount(newAmount),
+            amount: newAmount,
+            term: newTerm,
+            repaymentType: scheme.repaymentType,
+            status: canApprove ? 'active' : 'pending_approval',
+            depositedBank: loan.depositedBank,
+            createdBy: req.user._id,
+            loanId,
+            renewedFrom: loan._id,
+            carriedPrincipal: outstanding.principal,
+            totalPaid: 0,
+            payments: []
+        };
+
+        // The old loan stays open until an approver approves the renewal
+        if (!canApprove) {
+            const renewedLoan = await Loan.create(renewedLoanData);
+            await recordAudit(req, {
+                action: 'loan.create',
+                entityType: 'Loan',
+                entityId: renewedLoan._id,
+                entityRef: renewedLoan.loanId,
+                after: renewedLoan,
+                details: { renewedFrom: loan.loanId }
+            });
+            return res.status(201).json({
+                success: true,
+                message: 'Renewal is waiting for approval',
+                data: {
+                    previousLoan: loan,
+                    loan: renewedLoan,
+                    outstanding,
+                    valuation
+                }
+            });
+        }
+
+        // Open the new loan and close the old one together: if either write
+        // fails neither is kept, so the gold is never pledged to two loans
+        const session = await mongoose.startSession();
+        let previousLoan;
+        let renewedLoan;
+        let settlement;
+        try {
+            await session.withTransaction(async () => {
+                // Reload the loan on each attempt, as it was when the renewal was
+                // worked out; if it has been saved since, the renewal is refused
+                previousLoan = await Loan.findOne({ _id: loan._id, __v: loan.__v }).session(session);
+                if (!previousLoan) {
+                    throw new mongoose.Error.VersionError(loan, loan.__v, []);
+                }
+
+                [renewedLoan] = await Loan.create([renewedLoanData], { session });
+
+                settlement = await previousLoan.settleForRenewal(renewedLoan._id, {
+                    paymentMethod,
+                    transactionId,
+                    collectedBy: req.user._id
+                });
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        await recordAudit(req, {
+            action: 'loan.renew',
+            entityType: 'Loan',
+            entityId: loan._id,
+            entityRef: loan.loanId,
+            before,
+            after: previousLoan,
+            details: { renewedTo: renewedLoan.loanId }
+        });
+        await recordAudit(req, {
+            action: 'loan.create',
+            entityType: 'Loan',
+            entityId: renewedLoan._id,
+            entityRef: renewedLoan.loanId,
+            after: renewedLoan,
+            details: { renewedFrom: loan.loanId }
+        });
+
+        try {
+            await sendBrevoEmail({
+                to: renewedLoan.email,
+                subject: 'Loan Renewal - Cyan Finance',
+                html: `
+                    <p>Dear ${renewedLoan.name},</p>
+                    <p>Your loan ${loan.loanId} has been renewed as loan ${renewedLoan.loanId}.</p>
+                    <ul>
+                        <li>Interest and charges settled: ₹${settlement.settlementAmount}</li>
+                        <li>Principal carried forward: ₹${outstanding.principal}</li>
+                        ${topUpAmount > 0 ? `<li>Top-up amount: ₹${topUpAmount}</li>` : ''}
+                        <li>New Loan Amount: ₹${renewedLoan.amount}</li>
+                        <li>Term: ${renewedLoan.term} months</li>
+                        <li>Interest Rate: ${renewedLoan.interestRate}%</li>
+                        <li>Monthly Payment: ₹${renewedLoan.monthlyPayment}</li>
+                    </ul>
+                    <p>Best regards,<br/>Cyan Finance Team</p>
+                `
+            });
+        } catch (emailErr) {
+            console.error('Failed to send loan renewal email:', emailErr);
+        }
+
+        res.status(201).json({
+            success: true,
+            data: {
+                previousLoan,
+                loan: renewedLoan,
+                settlement: {
+                    amount: settlement.settlementAmount,
+                    interest: outstanding.interest,
+                    penalty: outstanding.penalty,
+                    principalCarried: outstanding.principal,
+                    topUpAmount
+                },
+                valuation
+            }
+        });
+    } catch (err) {
+        console.error('Error renewing loan:', err);
+        if (err.name === 'VersionError') {
+            return res.status(409).json({ message: 'The loan changed while it was being renewed; try again' });
+        }
+        if (err.name === 'ValidationError') {
+            const validationErrors = Object.values(err.errors).map(error => ({
+                msg: error.message
+            }));
+            return res.status(400).json({ errors: validationErrors });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   PUT /api/admin/customers/:aadharNumber
 // @desc    Update a customer as admin
-router.put('/customers/:aadharNumber', [auth, adminAuth], async (req, res) => {
+router.put('/customers/:aadharNumber', [auth, requirePermission('customer.update')], async (req, res) => {
   try {
     const allowedFields = [
       'name', 'email', 'primaryMobile', 'secondaryMobile',
@@ -439,6 +806,8 @@ router.put('/customers/:aadharNumber', [auth, adminAuth], async (req, res) => {
     for (const field of allowedFields) {
       if (req.body[field] !== undefined) update[field] = req.body[field];
     }
+    const before = await Customer.findOne({ aadharNumber: req.params.aadharNumber });
+    if (!before) return res.status(404).json({ message: 'Customer not found' });
     const updated = await Customer.findOneAndUpdate(
       { aadharNumber: req.params.aadharNumber },
       update,
@@ -447,10 +816,19 @@ router.put('/customers/:aadharNumber', [auth, adminAuth], async (req, res) => {
     if (!updated) return res.status(404).json({ message: 'Customer not found' });
 
     // Also update all Loan documents for this customer
-    await Loan.updateMany(
+    const loansUpdated = await Loan.updateMany(
       { aadharNumber: req.params.aadharNumber },
       { $set: update }
     );
+    await recordAudit(req, {
+      action: 'customer.update',
+      entityType: 'Customer',
+      entityId: updated._id,
+      entityRef: updated.aadharNumber,
+      before,
+      after: updated,
+      details: { loansUpdated: loansUpdated.modifiedCount }
+    });
 
     res.json({ success: true, data: updated });
   } catch (err) {
@@ -459,8 +837,8 @@ router.put('/customers/:aadharNumber', [auth, adminAuth], async (req, res) => {
 });
 
 // @route   DELETE /api/admin/customers/:aadharNumber
-// @desc    Delete a customer by aadhar number (admin only)
-router.delete('/customers/:aadharNumber', [auth, adminAuth], async (req, res) => {
+// @desc    Delete a customer by aadhar number
+router.delete('/customers/:aadharNumber', [auth, requirePermission('customer.delete')], async (req, res) => {
   try {
     const user = await User.findOne({ aadharNumber: req.params.aadharNumber });
     if (!user) {
@@ -470,6 +848,13 @@ router.delete('/customers/:aadharNumber', [auth, adminAuth], async (req, res) =>
       return res.status(403).json({ message: 'Cannot delete an admin user.' });
     }
     await user.deleteOne();
+    await recordAudit(req, {
+      action: 'customer.delete',
+      entityType: 'User',
+      entityId: user._id,
+      entityRef: user.aadharNumber,
+      before: user
+    });
     res.json({ success: true, message: 'Customer deleted successfully' });
   } catch (err) {
     console.error('Error deleting customer:', err);
@@ -477,18 +862,32 @@ router.delete('/customers/:aadharNumber', [auth, adminAuth], async (req, res) =>
   }
 });
 
+// Role of customer accounts; every other role is staff
+const CUSTOMER_ROLE = 'user';
+
+// Whether a role exists and is one staff can be given
+async function isStaffRole(name) {
+    return name !== CUSTOMER_ROLE && !!await Role.exists({ name });
+}
+
+// Whether the caller may grant the admin role or edit admin and customer
+// accounts: admins, and staff who configure roles
+function canManageAdmins(req) {
+    return req.user.role === Role.ADMIN_ROLE || req.permissions.includes('role.manage');
+}
+
 // @route   POST /api/admin/employees
-// @desc    Register a new employee (admin only)
+// @desc    Register a new employee
 router.post('/employees', [
     auth,
-    adminAuth,
+    requirePermission('employee.manage'),
     body('email').isEmail().withMessage('Please include a valid email'),
     body('name').notEmpty().withMessage('Name is required'),
     body('mobile').notEmpty().withMessage('Mobile number is required'),
     body('aadharNumber')
         .matches(/^\d{12}$/)
         .withMessage('Aadhar number must be exactly 12 digits'),
-    body('role').isIn(['employee', 'admin']).withMessage('Invalid role')
+    body('role').notEmpty().withMessage('Role is required')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -496,7 +895,23 @@ router.post('/employees', [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { email, name, mobile, alternateMobile, role, aadharNumber } = req.body;
+        const { email, name, mobile, alternateMobile, role, aadharNumber, branchId } = req.body;
+
+        if (!await isStaffRole(role)) {
+            return res.status(400).json({ message: 'Invalid role' });
+        }
+        if (role === Role.ADMIN_ROLE && !canManageAdmins(req)) {
+            return res.status(403).json({ message: 'Only admins can grant the admin role' });
+        }
+        // Staff who do not work across branches must belong to one
+        if (!branchId && !await Role.hasPermission(role, 'branch.all')) {
+            return res.status(400).json({ message: 'Staff in this role must be assigned to a branch' });
+        }
+
+        const branch = branchId ? await Branch.findActive(branchId) : null;
+        if (branchId && !branch) {
+            return res.status(400).json({ message: 'Branch not found or inactive' });
+        }
 
         // Check if user already exists
         const existing = await User.findOne({ 
@@ -526,8 +941,16 @@ router.post('/employees', [
             primaryMobile: mobile,
             secondaryMobile: alternateMobile,
             aadharNumber,
+            branch: branch ? branch._id : undefined,
             mustResetPassword: true
         });
+        await recordAudit(req, {
+            action: 'employee.create',
+            entityType: 'User',
+            entityId: user._id,
+            entityRef: user.email,
+            after: user
+        });
 
         // Send email with password
         await sendBrevoEmail({
@@ -544,7 +967,8 @@ router.post('/employees', [
                 name: user.name,
                 email: user.email,
                 role: user.role,
-                aadharNumber: user.aadharNumber
+                aadharNumber: user.aadharNumber,
+                branch: user.branch
             }
         });
     } catch (err) {
@@ -554,10 +978,17 @@ router.post('/employees', [
 });
 
 // @route   GET /api/admin/employees
-// @desc    Get all employees (admin only)
-router.get('/employees', [auth, adminAuth], async (req, res) => {
+// @desc    Get all employees, or one branch's with ?branch=
+router.get('/employees', [auth, requirePermission('employee.manage')], async (req, res) => {
   try {
-    const employees = await User.find({ role: { $in: ['employee', 'admin'] } }).select('-password');
+    const filter = { role: { $ne: CUSTOMER_ROLE } };
+    if (req.query.branch) {
+      if (!mongoose.isValidObjectId(req.query.branch)) {
+        return res.status(400).json({ message: 'Invalid branch' });
+      }
+      filter.branch = req.query.branch;
+    }
+    const employees = await User.find(filter).select('-password').populate('branch', 'name code');
     res.json({ success: true, data: employees });
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
@@ -565,17 +996,24 @@ router.get('/employees', [auth, adminAuth], async (req, res) => {
 });
 
 // @route   DELETE /api/admin/employees/:id
-// @desc    Delete an employee (admin only)
-router.delete('/employees/:id', [auth, adminAuth], async (req, res) => {
+// @desc    Delete an employee
+router.delete('/employees/:id', [auth, requirePermission('employee.manage')], async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ message: 'Employee not found' });
     }
-    if (user.role !== 'employee') {
-      return res.status(400).json({ message: 'Can only delete users with employee role' });
+    if (user.role === CUSTOMER_ROLE || user.role === Role.ADMIN_ROLE) {
+      return res.status(400).json({ message: 'Can only delete staff who are not admins' });
     }
     await user.deleteOne();
+    await recordAudit(req, {
+      action: 'employee.delete',
+      entityType: 'User',
+      entityId: user._id,
+      entityRef: user.email,
+      before: user
+    });
     res.json({ success: true, message: 'Employee deleted successfully' });
   } catch (err) {
     console.error('Error deleting employee:', err);
@@ -584,8 +1022,8 @@ router.delete('/employees/:id', [auth, adminAuth], async (req, res) => {
 });
 
 // @route   PUT /api/admin/employees/:id
-// @desc    Update an employee (admin only)
-router.put('/employees/:id', [auth, adminAuth], async (req, res) => {
+// @desc    Update an employee
+router.put('/employees/:id', [auth, requirePermission('employee.manage')], async (req, res) => {
   try {
     const allowedFields = [
       'name', 'primaryMobile', 'secondaryMobile', 'role'
@@ -594,8 +1032,36 @@ router.put('/employees/:id', [auth, adminAuth], async (req, res) => {
     for (const field of allowedFields) {
       if (req.body[field] !== undefined) update[field] = req.body[field];
     }
+    const before = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+    if (!before) return res.status(404).json({ message: 'Employee not found' });
+    // Customer logins and admins are not staff this permission manages
+    if ([CUSTOMER_ROLE, Role.ADMIN_ROLE].includes(before.role) && !canManageAdmins(req)) {
+      return res.status(403).json({ message: 'Only admins can edit admin or customer accounts' });
+    }
+    if (update.role !== undefined && !await isStaffRole(update.role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+    if (update.role === Role.ADMIN_ROLE && !canManageAdmins(req)) {
+      return res.status(403).json({ message: 'Only admins can grant the admin role' });
+    }
+    // Move the employee to another branch
+    if (req.body.branchId !== undefined) {
+      const branch = await Branch.findActive(req.body.branchId);
+      if (!branch) {
+        return res.status(400).json({ message: 'Branch not found or inactive' });
+      }
+      update.branch = branch._id;
+    }
     const updated = await User.findByIdAndUpdate(req.params.id, update, { new: true });
     if (!updated) return res.status(404).json({ message: 'Employee not found' });
+    await recordAudit(req, {
+      action: 'employee.update',
+      entityType: 'User',
+      entityId: updated._id,
+      entityRef: updated.email,
+      before,
+      after: updated
+    });
     res.json({ success: true, data: updated });
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
@@ -604,7 +1070,7 @@ router.put('/employees/:id', [auth, adminAuth], async (req, res) => {
 
 // @route   POST /api/admin/sync-customers-from-loans
 // @desc    Sync all unique customers from Loan collection to Customer collection
-router.post('/sync-customers-from-loans', [auth, adminAuth], async (req, res) => {
+router.post('/sync-customers-from-loans', [auth, requirePermission('customer.update')], async (req, res) => {
   try {
     const loans = await Loan.aggregate([
       { $group: { _id: '$aadharNumber', doc: { $first: '$$ROOT' } } }
@@ -614,7 +1080,7 @@ router.post('/sync-customers-from-loans', [auth, adminAuth], async (req, res) =>
       if (!aadharNumber) continue;
       const exists = await Customer.findOne({ aadharNumber });
       if (!exists) {
-        await Customer.create({
+        const customer = await Customer.create({
           aadharNumber,
           name: doc.name,
           email: doc.email,
@@ -624,6 +1090,14 @@ router.post('/sync-customers-from-loans', [auth, adminAuth], async (req, res) =>
           permanentAddress: doc.permanentAddress,
           emergencyContact: doc.emergencyContact
         });
+        await recordAudit(req, {
+          action: 'customer.create',
+          entityType: 'Customer',
+          entityId: customer._id,
+          entityRef: customer.aadharNumber,
+          after: customer,
+          details: { syncedFromLoan: doc.loanId }
+        });
         created++;
       }
     }
@@ -634,4 +1108,582 @@ router.post('/sync-customers-from-loans', [auth, adminAuth], async (req, res) =>
   }
 });
 
+// Fields of a scheme an admin may set
+const SCHEME_FIELDS = [
+    'name', 'description', 'interestRate', 'minTerm', 'maxTerm',
+    'amountSlabs', 'ltvCap', 'repaymentType', 'penalty', 'isActive'
+];
+
+// Send a scheme validation or duplicate-name error, or a generic server error
+function sendSchemeError(res, err) {
+    if (err.name === 'ValidationError') {
+        const validationErrors = Object.values(err.errors).map(error => ({
+            msg: error.message
+        }));
+        return res.status(400).json({ errors: validationErrors });
+    }
+    if (err.code === 11000) {
+        return res.status(400).json({
+            errors: [{ msg: 'A scheme with this name already exists' }]
+        });
+    }
+    console.error('Error saving scheme:', err);
+    res.status(500).json({ message: 'Server error' });
+}
+
+// @route   GET /api/admin/schemes
+// @desc    Get all loan schemes, active and inactive
+router.get('/schemes', [auth, requirePermission('scheme.view')], async (req, res) => {
+    try {
+        const schemes = await Scheme.find().sort({ name: 1 });
+        res.json({ success: true, data: schemes });
+    } catch (err) {
+        console.error('Error fetching schemes:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/admin/schemes/:id
+// @desc    Get a loan scheme
+router.get('/schemes/:id', [auth, requirePermission('scheme.view')], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'Scheme not found' });
+        }
+        const scheme = await Scheme.findById(req.params.id);
+        if (!scheme) {
+            return res.status(404).json({ message: 'Scheme not found' });
+        }
+        res.json({ success: true, data: scheme });
+    } catch (err) {
+        console.error('Error fetching scheme:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/admin/schemes
+// @desc    Create a loan scheme
+router.post('/schemes', [auth, requirePermission('scheme.manage')], async (req, res) => {
+    try {
+        const data = {};
+        for (const field of SCHEME_FIELDS) {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        }
+        const scheme = await Scheme.create({ ...data, createdBy: req.user._id });
+        await recordAudit(req, {
+            action: 'scheme.create',
+            entityType: 'Scheme',
+            entityId: scheme._id,
+            entityRef: scheme.name,
+            after: scheme
+        });
+        res.status(201).json({ success: true, data: scheme });
+    } catch (err) {
+        sendSchemeError(res, err);
+    }
+});
+
+// @route   PUT /api/admin/schemes/:id
+// @desc    Update a loan scheme. Existing loans keep the terms they were created with.
+router.put('/schemes/:id', [auth, requirePermission('scheme.manage')], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'Scheme not found' });
+        }
+        const scheme = await Scheme.findById(req.params.id);
+        if (!scheme) {
+            return res.status(404).json({ message: 'Scheme not found' });
+        }
+        const before = snapshot(scheme);
+        for (const field of SCHEME_FIELDS) {
+            if (req.body[field] !== undefined) scheme[field] = req.body[field];
+        }
+        await scheme.save();
+        await recordAudit(req, {
+            action: 'scheme.update',
+            entityType: 'Scheme',
+            entityId: scheme._id,
+            entityRef: scheme.name,
+            before,
+            after: scheme
+        });
+        res.json({ success: true, data: scheme });
+    } catch (err) {
+        sendSchemeError(res, err);
+    }
+});
+
+// @route   DELETE /api/admin/schemes/:id
+// @desc    Delete a loan scheme. Schemes with loans are deactivated instead.
+router.delete('/schemes/:id', [auth, requirePermission('scheme.manage')], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'Scheme not found' });
+        }
+        const scheme = await Scheme.findById(req.params.id);
+        if (!scheme) {
+            return res.status(404).json({ message: 'Scheme not found' });
+        }
+        const before = snapshot(scheme);
+        if (await Loan.exists({ scheme: scheme._id })) {
+            scheme.isActive = false;
+            await scheme.save();
+            await recordAudit(req, {
+                action: 'scheme.deactivate',
+                entityType: 'Scheme',
+                entityId: scheme._id,
+                entityRef: scheme.name,
+                before,
+                after: scheme
+            });
+            return res.json({ success: true, message: 'Scheme has loans, so it was deactivated', data: scheme });
+        }
+        await scheme.deleteOne();
+        await recordAudit(req, {
+            action: 'scheme.delete',
+            entityType: 'Scheme',
+            entityId: scheme._id,
+            entityRef: scheme.name,
+            before
+        });
+        res.json({ success: true, message: 'Scheme deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting scheme:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Send a role validation or duplicate error, or a generic server error
+function sendRoleError(res, err) {
+    if (err.name === 'ValidationError') {
+        const validationErrors = Object.values(err.errors).map(error => ({
+            msg: error.message
+        }));
+        return res.status(400).json({ errors: validationErrors });
+    }
+    if (err.code === 11000) {
+        return res.status(400).json({
+            errors: [{ msg: 'A role with this name already exists' }]
+        });
+    }
+    console.error('Error saving role:', err);
+    res.status(500).json({ message: 'Server error' });
+}
+
+// @route   GET /api/admin/permissions
+// @desc    List every permission a role can be granted
+router.get('/permissions', [auth, requirePermission('role.manage')], async (req, res) => {
+    res.json({
+        success: true,
+        data: Object.entries(Role.PERMISSIONS).map(([name, description]) => ({ name, description }))
+    });
+});
+
+// @route   GET /api/admin/roles
+// @desc    Get all roles with their permissions and how many users hold each
+router.get('/roles', [auth, requirePermission('role.manage')], async (req, res) => {
+    try {
+        const roles = await Role.find().sort({ name: 1 }).lean();
+        const counts = await User.aggregate([{ $group: { _id: '$role', users: { $sum: 1 } } }]);
+        const usersByRole = new Map(counts.map(count => [count._id, count.users]));
+        res.json({
+            success: true,
+            data: await Promise.all(roles.map(async role => ({
+                ...role,
+                permissions: await Role.permissionsFor(role.name),
+                users: usersByRole.get(role.name) || 0
+            })))
+        });
+    } catch (err) {
+        console.error('Error fetching roles:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/admin/roles
+// @desc    Create a role from a name, description and list of permissions
+router.post('/roles', [auth, requirePermission('role.manage'), [
+    body('permissions').isArray().withMessage('Permissions must be an array')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const role = await Role.create({
+            name: req.body.name,
+            description: req.body.description,
+            permissions: req.body.permissions
+        });
+        await recordAudit(req, {
+            action: 'role.create',
+            entityType: 'Role',
+            entityId: role._id,
+            entityRef: role.name,
+            after: role
+        });
+        res.status(201).json({ success: true, data: role });
+    } catch (err) {
+        sendRoleError(res, err);
+    }
+});
+
+// @route   PUT /api/admin/roles/:name
+// @desc    Change a role's description or permissions. The admin role always has
+//          every permission and cannot be changed.
+router.put('/roles/:name', [auth, requirePermission('role.manage'), [
+    body('permissions').optional().isArray().withMessage('Permissions must be an array')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const role = await Role.findOne({ name: req.params.name });
+        if (!role) {
+            return res.status(404).json({ message: 'Role not found' });
+        }
+        if (role.name === Role.ADMIN_ROLE) {
+            return res.status(400).json({ message: 'The admin role always has every permission and cannot be changed' });
+        }
+        const before = snapshot(role);
+        if (req.body.description !== undefined) role.description = req.body.description;
+        if (req.body.permissions !== undefined) role.permissions = req.body.permissions;
+        await role.save();
+        await recordAudit(req, {
+            action: 'role.update',
+            entityType: 'Role',
+            entityId: role._id,
+            entityRef: role.name,
+            before,
+            after: role
+        });
+        res.json({ success: true, data: role });
+    } catch (err) {
+        sendRoleError(res, err);
+    }
+});
+
+// @route   DELETE /api/admin/roles/:name
+// @desc    Delete a role no user holds. Default roles cannot be deleted.
+router.delete('/roles/:name', [auth, requirePermission('role.manage')], async (req, res) => {
+    try {
+        const role = await Role.findOne({ name: req.params.name });
+        if (!role) {
+            return res.status(404).json({ message: 'Role not found' });
+        }
+        if (role.isSystem) {
+            return res.status(400).json({ message: 'Default roles cannot be deleted' });
+        }
+        if (await User.exists({ role: role.name })) {
+            return res.status(400).json({ message: 'Move the users in this role to another role first' });
+        }
+        await role.deleteOne();
+        await recordAudit(req, {
+            action: 'role.delete',
+            entityType: 'Role',
+            entityId: role._id,
+            entityRef: role.name,
+            before: role
+        });
+        res.json({ success: true, message: 'Role deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting role:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+const BRANCH_FIELDS = ['name', 'code', 'address', 'phone', 'email', 'isActive'];
+
+// Send a branch validation or duplicate error, or a generic server error
+function sendBranchError(res, err) {
+    if (err.name === 'ValidationError') {
+        const validationErrors = Object.values(err.errors).map(error => ({
+            msg: error.message
+        }));
+        return res.status(400).json({ errors: validationErrors });
+    }
+    if (err.code === 11000) {
+        return res.status(400).json({
+            errors: [{ msg: 'A branch with this name or code already exists' }]
+        });
+    }
+    console.error('Error saving branch:', err);
+    res.status(500).json({ message: 'Server error' });
+}
+
+// @route   GET /api/admin/branches
+// @desc    Get all branches, active and inactive
+router.get('/branches', [auth, requirePermission('branch.manage')], async (req, res) => {
+    try {
+        const branches = await Branch.find().sort({ name: 1 });
+        res.json({ success: true, data: branches });
+    } catch (err) {
+        console.error('Error fetching branches:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/admin/branches/:id
+// @desc    Get a branch with its staff
+router.get('/branches/:id', [auth, requirePermission('branch.manage')], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'Branch not found' });
+        }
+        const branch = await Branch.findById(req.params.id);
+        if (!branch) {
+            return res.status(404).json({ message: 'Branch not found' });
+        }
+        const staff = await User.find({ branch: branch._id }).select('name email role primaryMobile');
+        res.json({ success: true, data: { ...branch.toObject(), staff } });
+    } catch (err) {
+        console.error('Error fetching branch:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/admin/branches
+// @desc    Create a branch
+router.post('/branches', [auth, requirePermission('branch.manage')], async (req, res) => {
+    try {
+        const data = {};
+        for (const field of BRANCH_FIELDS) {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        }
+        const branch = await Branch.create({ ...data, createdBy: req.user._id });
+        await recordAudit(req, {
+            action: 'branch.create',
+            entityType: 'Branch',
+            entityId: branch._id,
+            entityRef: branch.code,
+            after: branch
+        });
+        res.status(201).json({ success: true, data: branch });
+    } catch (err) {
+        sendBranchError(res, err);
+    }
+});
+
+// @route   PUT /api/admin/branches/:id
+// @desc    Update a branch
+router.put('/branches/:id', [auth, requirePermission('branch.manage')], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'Branch not found' });
+        }
+        const branch = await Branch.findById(req.params.id);
+        if (!branch) {
+            return res.status(404).json({ message: 'Branch not found' });
+        }
+        const before = snapshot(branch);
+        for (const field of BRANCH_FIELDS) {
+            if (req.body[field] !== undefined) branch[field] = req.body[field];
+        }
+        await branch.save();
+        await recordAudit(req, {
+            action: 'branch.update',
+            entityType: 'Branch',
+            entityId: branch._id,
+            entityRef: branch.code,
+            before,
+            after: branch
+        });
+        res.json({ success: true, data: branch });
+    } catch (err) {
+        sendBranchError(res, err);
+    }
+});
+
+// @route   DELETE /api/admin/branches/:id
+// @desc    Delete a branch. Branches with loans or staff are deactivated instead.
+router.delete('/branches/:id', [auth, requirePermission('branch.manage')], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'Branch not found' });
+        }
+        const branch = await Branch.findById(req.params.id);
+        if (!branch) {
+            return res.status(404).json({ message: 'Branch not found' });
+        }
+        const before = snapshot(branch);
+        if (await Loan.exists({ branch: branch._id }) || await User.exists({ branch: branch._id })) {
+            branch.isActive = false;
+            await branch.save();
+            await recordAudit(req, {
+                action: 'branch.deactivate',
+                entityType: 'Branch',
+                entityId: branch._id,
+                entityRef: branch.code,
+                before,
+                after: branch
+            });
+            return res.json({ success: true, message: 'Branch has loans or staff, so it was deactivated', data: branch });
+        }
+        await branch.deleteOne();
+        await recordAudit(req, {
+            action: 'branch.delete',
+            entityType: 'Branch',
+            entityId: branch._id,
+            entityRef: branch.code,
+            before
+        });
+        res.json({ success: true, message: 'Branch deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting branch:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/admin/reports/branches
+// @desc    Compare branches: each branch's current portfolio, and loans disbursed and
+//          payments collected within ?from=&to= (default all time). Loans not yet
+//          assigned to a branch are reported as unassigned.
+router.get('/reports/branches', [auth, requirePermission('report.view')], async (req, res) => {
+    try {
+        const range = {};
+        if (req.query.from) range.$gte = new Date(req.query.from);
+        if (req.query.to) {
+            range.$lte = new Date(req.query.to);
+            // A bare date means the whole of that day
+            if (/^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) range.$lte.setUTCHours(23, 59, 59, 999);
+        }
+        if (Object.values(range).some(date => isNaN(date))) {
+            return res.status(400).json({ message: 'Invalid date range' });
+        }
+        const inRange = field => (Object.keys(range).length > 0 ? { [field]: range } : {});
+        // Loans from before the disbursement date was recorded were paid out on creation
+        const disbursedInRange = Object.keys(range).length > 0
+            ? { $or: [{ disbursedAt: range }, { disbursedAt: { $exists: false }, createdAt: range }] }
+            : {};
+        const isOpen = { $in: ['$status', ['active', 'defaulted']] };
+
+        const [branches, portfolio, disbursed, collected] = await Promise.all([
+            Branch.find().sort({ name: 1 }),
+            Loan.aggregate([
+                { $group: {
+                    _id: '$branch',
+                    totalLoans: { $sum: 1 },
+                    openLoans: { $sum: { $cond: [isOpen, 1, 0] } },
+                    defaultedLoans: { $sum: { $cond: [{ $eq: ['$status', 'defaulted'] }, 1, 0] } },
+                    overdueLoans: { $sum: { $cond: [
+                        { $and: [isOpen, { $in: ['overdue', '$installments.status'] }] }, 1, 0
+                    ] } },
+                    outstanding: { $sum: { $cond: [isOpen, '$remainingBalance', 0] } },
+                    customers: { $addToSet: '$customerId' }
+                } }
+            ]),
+            Loan.aggregate([
+                { $match: { status: { $nin: ['rejected', 'pending_approval'] }, ...disbursedInRange } },
+                { $group: { _id: '$branch', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+            ]),
+            Loan.aggregate([
+                { $unwind: '$payments' },
+                { $match: { 'payments.status': { $ne: 'reversed' }, ...inRange('payments.date') } },
+                { $group: { _id: '$branch', count: { $sum: 1 }, amount: { $sum: '$payments.amount' } } }
+            ])
+        ]);
+
+        const byBranch = rows => new Map(rows.map(row => [String(row._id), row]));
+        const portfolioBy = byBranch(portfolio);
+        const disbursedBy = byBranch(disbursed);
+        const collectedBy = byBranch(collected);
+
+        const report = [...branches.map(b => ({ key: String(b._id), branch: b })), { key: 'null', branch: null }]
+            .map(({ key, branch }) => {
+                const p = portfolioBy.get(key) || {};
+                const d = disbursedBy.get(key) || {};
+                const c = collectedBy.get(key) || {};
+                return {
+                    branch: branch ? { _id: branch._id, name: branch.name, code: branch.code, isActive: branch.isActive } : null,
+                    totalLoans: p.totalLoans || 0,
+                    openLoans: p.openLoans || 0,
+                    defaultedLoans: p.defaultedLoans || 0,
+                    overdueLoans: p.overdueLoans || 0,
+                    outstanding: Math.round((p.outstanding || 0) * 100) / 100,
+                    customers: p.customers ? p.customers.length : 0,
+                    disbursedCount: d.count || 0,
+                    disbursedAmount: d.amount || 0,
+                    collectionsCount: c.count || 0,
+                    collectionsAmount: Math.round((c.amount || 0) * 100) / 100
+                };
+            })
+            // Leave out the unassigned row when there is nothing in it
+            .filter(row => row.branch || row.totalLoans > 0);
+
+        const sum = field => Math.round(report.reduce((total, row) => total + row[field], 0) * 100) / 100;
+        res.json({
+            success: true,
+            data: {
+                from: range.$gte,
+                to: range.$lte,
+                branches: report,
+                totals: {
+                    totalLoans: sum('totalLoans'),
+                    openLoans: sum('openLoans'),
+                    outstanding: sum('outstanding'),
+                    disbursedAmount: sum('disbursedAmount'),
+                    collectionsAmount: sum('collectionsAmount')
+                }
+            }
+        });
+    } catch (err) {
+        console.error('Error building branch report:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/admin/audit
+// @desc    Search the audit log, newest first. Filters: ?actor= (user id), ?action=,
+//          ?entityType=, ?entityId=, ?entityRef= and ?from=&to= dates; ?page= and
+//          ?limit= (default 100, at most 500) page through the results.
+router.get('/audit', [auth, requirePermission('audit.view')], async (req, res) => {
+    try {
+        const filter = {};
+        for (const field of ['actor', 'entityId']) {
+            if (req.query[field]) {
+                if (!mongoose.isValidObjectId(req.query[field])) {
+                    return res.status(400).json({ message: `Invalid ${field}` });
+                }
+                filter[field] = req.query[field];
+            }
+        }
+        for (const field of ['action', 'entityType', 'entityRef']) {
+            if (req.query[field]) filter[field] = req.query[field];
+        }
+
+        if (req.query.from || req.query.to) {
+            filter.createdAt = {};
+            if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+            if (req.query.to) {
+                filter.createdAt.$lte = new Date(req.query.to);
+                // A bare date means the whole of that day
+                if (/^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) filter.createdAt.$lte.setUTCHours(23, 59, 59, 999);
+            }
+            if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+                return res.status(400).json({ message: 'Invalid date range' });
+            }
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('actor', 'name email role'),
+            AuditLog.countDocuments(filter)
+        ]);
+
+        res.json({ success: true, data: entries, page, limit, total });
+    } catch (err) {
+        console.error('Error fetching audit log:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
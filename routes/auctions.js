@@ -0,0 +1,665 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const Auction = require('../models/Auction');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const idempotency = require('../middleware/idempotency');
+const openTill = require('../middleware/openTill');
+const loanAccess = require('../middleware/loanAccess');
+const { sendBrevoEmail } = require('../utils/brevo');
+const { assessLoanToValue } = require('../utils/goldValuation');
+const { generateAuctionNoticePDF } = require('../utils/pdfGenerator');
+const { postSurplusRefund } = require('../utils/ledger');
+const { snapshot, diff, recordAudit } = require('../utils/audit');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+// Days the customer is given to pay after a notice, unless told otherwise
+const DEFAULT_NOTICE_DAYS = 14;
+// An active loan can be recalled once an installment is this many days overdue
+const DEFAULT_DAYS_PAST_DUE = 90;
+
+// Find the auction named by the route, or send 404. An auction on a loan the
+// caller may not see (see Loan.accessFilter) is reported as not found.
+async function findAuction(req, res) {
+    const auction = mongoose.isValidObjectId(req.params.id)
+        ? await Auction.findById(req.params.id)
+        : null;
+    if (!auction || !await Loan.exists({ _id: auction.loan, ...await Loan.accessFilter(req.user) })) {
+        res.status(404).json({ message: 'Auction not found' });
+        return null;
+    }
+    return auction;
+}
+
+// Run work(auction, loan, session) on the auction and its loan in one
+// transaction. Each attempt reloads both in the session, and only while they
+// still match auctionFilter and loanFilter, so a retried attempt starts from
+// what is stored and a concurrent change fails with a VersionError.
+async function withAuctionTransaction(auction, { auctionFilter = {}, loanFilter = {} }, work) {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            const current = await Auction.findOne({ _id: auction._id, ...auctionFilter }).session(session);
+            const loan = current && await Loan.findOne({ _id: current.loan, ...loanFilter }).session(session);
+            if (!current || !loan) {
+                throw new mongoose.Error.VersionError(auction, auction.__v, []);
+            }
+            result = await work(current, loan, session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+}
+
+// Record an auction action against the auction and, when it changed, its
+// loan. before holds their snapshots from before the change.
+async function auditAuction(req, action, { auction, loan, before, details }) {
+    await recordAudit(req, {
+        action,
+        entityType: 'Auction',
+        entityId: auction._id,
+        entityRef: auction.loanId,
+        before: before.auction,
+        after: auction,
+        details
+    });
+    if (loan && diff(before.loan, snapshot(loan)).length > 0) {
+        await recordAudit(req, {
+            action,
+            entityType: 'Loan',
+            entityId: loan._id,
+            entityRef: loan.loanId,
+            before: before.loan,
+            after: loan,
+            details
+        });
+    }
+}
+
+// @route   GET /api/auctions/eligible
+// @desc    Get active loans that can be recalled for auction: past maturity,
+//          or with an installment overdue ?daysPastDue= days (default 90)
+router.get('/eligible', [auth, requirePermission('auction.view')], async (req, res) => {
+    try {
+        const now = new Date();
+        const minDaysPastDue = Number(req.query.daysPastDue) || DEFAULT_DAYS_PAST_DUE;
+        const candidates = await Loan.find({
+            ...await Loan.accessFilter(req.user),
+            status: 'active',
+            remainingBalance: { $gt: 0 },
+            installments: { $elemMatch: { status: { $ne: 'paid' }, dueDate: { $lt: now } } }
+        }).sort({ createdAt: 1 });
+
+        const loans = candidates.filter(loan => loan.isDefaultable(now, minDaysPastDue));
+        res.json({ success: true, data: loans });
+    } catch (err) {
+        console.error('Error fetching loans eligible for auction:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/auctions
+// @desc    Get auctions, optionally filtered by ?status=
+router.get('/', [auth, requirePermission('auction.view')], async (req, res) => {
+    try {
+        const filter = req.query.status ? { status: req.query.status } : {};
+        const access = await Loan.accessFilter(req.user);
+        if (Object.keys(access).length > 0) {
+            filter.loan = { $in: await Loan.distinct('_id', access) };
+        }
+        const auctions = await Auction.find(filter).sort({ updatedAt: -1 });
+        res.json({ success: true, data: auctions });
+    } catch (err) {
+        console.error('Error fetching auctions:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/auctions/:id
+// @desc    Get an auction with its loan
+router.get('/:id', [auth, requirePermission('auction.view')], async (req, res) => {
+    try {
+        const auction = await findAuction(req, res);
+        if (!auction) return;
+        await auction.populate('loan');
+        res.json({ success: true, data: auction });
+    } catch (err) {
+        console.error('Error fetching auction:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auctions/loans/:loanId/notices
+// @desc    Serve a demand or final notice on a loan. The first notice marks the
+//          loan defaulted and opens its auction record.
+router.post('/loans/:loanId/notices', [
+    auth,
+    requirePermission('auction.manage'),
+    loanAccess('loanId'),
+    body('type').isIn(['demand', 'final']).withMessage("Notice type must be 'demand' or 'final'"),
+    body('payByDays').optional().isInt({ min: 1 }).withMessage('Days to pay must be at least 1')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const found = req.loan;
+        const loanBefore = snapshot(found);
+
+        const now = new Date();
+        const existing = await Auction.findOne({ loan: found._id, status: { $ne: 'cancelled' } });
+        const auctionBefore = snapshot(existing);
+
+        const defaulting = found.status === 'active';
+        if (defaulting) {
+            if (!found.isDefaultable(now, DEFAULT_DAYS_PAST_DUE)) {
+                return res.status(400).json({ message: 'Loan is neither past maturity nor long overdue' });
+            }
+        } else if (found.status !== 'defaulted') {
+            return res.status(400).json({ message: `Notices cannot be served on a ${found.status} loan` });
+        }
+
+        const { type } = req.body;
+        if (type === 'final') {
+            const demand = existing && existing.notices.find(notice => notice.type === 'demand');
+            if (!demand) {
+                return res.status(400).json({ message: 'A demand notice must be served before the final notice' });
+            }
+            if (demand.payBy > now) {
+                return res.status(400).json({ message: `The demand notice allows payment until ${demand.payBy.toLocaleDateString()}` });
+            }
+        }
+
+        const payBy = new Date(now.getTime() + (Number(req.body.payByDays) || DEFAULT_NOTICE_DAYS) * DAY_MS);
+
+        // Default the loan and record the notice together, or not at all
+        const session = await mongoose.startSession();
+        let loan;
+        let auction;
+        let notice;
+        let amountDue;
+        try {
+            await session.withTransaction(async () => {
+                // Reload the loan on each attempt, as it was when it was checked;
+                // if it has been saved since, the notice is refused
+                loan = await Loan.findOne({ _id: found._id, __v: found.__v }).session(session);
+                if (!loan) {
+                    throw new mongoose.Error.VersionError(found, found.__v, []);
+                }
+                if (defaulting) {
+                    loan.status = 'defaulted';
+                    loan.defaultedDate = now;
+                }
+                await loan.applyOverdue(now);
+                await loan.save();
+
+                // Cancelled auctions keep their record; a fresh default starts a new one
+                auction = existing
+                    ? await Auction.findById(existing._id).session(session)
+                    : new Auction({
+                        loan: loan._id,
+                        loanId: loan.loanId,
+                        customerId: loan.customerId,
+                        createdBy: req.user._id
+                    });
+
+                amountDue = loan.getOutstanding(now).total;
+                auction.notices.push({
+                    type,
+                    issuedAt: now,
+                    payBy,
+                    amountDue,
+                    sentTo: loan.email,
+                    issuedBy: req.user._id
+                });
+                notice = auction.notices[auction.notices.length - 1];
+                await auction.save({ session });
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        // The notice goes out only once it is on record
+        try {
+            await sendBrevoEmail({
+                to: loan.email,
+                subject: `${type === 'final' ? 'Final Notice Before Auction' : 'Demand Notice'} - Loan ${loan.loanId}`,
+                html: `
+                    <p>Dear ${loan.name},</p>
+                    <p>Your gold loan ${loan.loanId} is in default. An amount of <b>₹${amountDue}</b> is due.</p>
+                    <p>If this amount is not paid by <b>${payBy.toLocaleDateString()}</b>, the gold pledged against the loan
+                    will be sold by public auction to recover the dues.</p>
+                    <p>Any surplus from the sale will be refunded to you; any shortfall will remain payable.</p>
+                    <p>Please contact us immediately to settle the loan.</p>
+                    <p>Best regards,<br/>Cyan Finance Team</p>
+                `
+            });
+            notice.emailSent = true;
+            await Auction.updateOne(
+                { _id: auction._id, 'notices._id': notice._id },
+                { $set: { 'notices.$.emailSent': true } }
+            );
+        } catch (emailErr) {
+            console.error('Failed to send auction notice email:', emailErr);
+        }
+
+        if (loanBefore.status !== loan.status) {
+            await recordAudit(req, {
+                action: 'loan.default',
+                entityType: 'Loan',
+                entityId: loan._id,
+                entityRef: loan.loanId,
+                before: loanBefore,
+                after: loan
+            });
+        }
+        await recordAudit(req, {
+            action: 'auction.notice',
+            entityType: 'Auction',
+            entityId: auction._id,
+            entityRef: auction.loanId,
+            before: auctionBefore,
+            after: auction,
+            details: { type }
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                auction,
+                notice,
+                noticeUrl: `/api/auctions/${auction._id}/notices/${notice._id}/pdf`
+            }
+        });
+    } catch (err) {
+        console.error('Error serving auction notice:', err);
+        if (err.name === 'VersionError') {
+            return res.status(409).json({ message: 'The loan changed while the notice was being served; try again' });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/auctions/:id/notices/:noticeId/pdf
+// @desc    Download a notice as PDF for printing and posting
+router.get('/:id/notices/:noticeId/pdf', [auth, requirePermission('auction.view')], async (req, res) => {
+    try {
+        const auction = await findAuction(req, res);
+        if (!auction) return;
+        await auction.populate('loan');
+        const notice = auction.notices.id(req.params.noticeId);
+        if (!notice) {
+            return res.status(404).json({ message: 'Notice not found' });
+        }
+
+        const loan = auction.loan;
+        const pdfBuffer = await generateAuctionNoticePDF({
+            customerName: loan.name,
+            customerAddress: loan.presentAddress,
+            loanId: loan.loanId,
+            noticeType: notice.type,
+            noticeDate: notice.issuedAt.toLocaleDateString(),
+            payBy: notice.payBy.toLocaleDateString(),
+            amountDue: notice.amountDue,
+            items: loan.pledgedItems(),
+            logoPath: path.join(__dirname, '../pages/cyanlogo.png')
+        });
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="Notice_${loan.loanId}_${notice.type}.pdf"`
+        });
+        res.send(pdfBuffer);
+    } catch (err) {
+        console.error('Error generating auction notice:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auctions/:id/schedule
+// @desc    Fix the auction date, after the final notice's pay-by date
+router.post('/:id/schedule', [
+    auth,
+    requirePermission('auction.manage'),
+    body('scheduledFor').isISO8601().withMessage('Auction date is required'),
+    body('venue').optional().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const auction = await findAuction(req, res);
+        if (!auction) return;
+        await auction.populate('loan');
+        if (!['notice_period', 'scheduled'].includes(auction.status)) {
+            return res.status(400).json({ message: `Auction is already ${auction.status}` });
+        }
+        const before = snapshot(auction);
+        if (auction.loan.status !== 'defaulted') {
+            return res.status(400).json({ message: `Loan is ${auction.loan.status}; cancel the auction instead` });
+        }
+
+        const finalNotice = auction.notices.find(notice => notice.type === 'final');
+        if (!finalNotice) {
+            return res.status(400).json({ message: 'A final notice must be served before scheduling the auction' });
+        }
+        const scheduledFor = new Date(req.body.scheduledFor);
+        if (scheduledFor < finalNotice.payBy) {
+            return res.status(400).json({ message: `The auction cannot be held before ${finalNotice.payBy.toLocaleDateString()}` });
+        }
+
+        // Reserve valuation of the gold at today's rate
+        const { valuation } = await assessLoanToValue(auction.loan.pledgedItems(), 0);
+        auction.reserveValuation = {
+            goldRate: valuation.goldRate,
+            totalFineWeight: valuation.totalFineWeight,
+            marketValue: valuation.marketValue
+        };
+        auction.scheduledFor = scheduledFor;
+        auction.venue = req.body.venue;
+        auction.status = 'scheduled';
+        await auction.save();
+        await recordAudit(req, {
+            action: 'auction.schedule',
+            entityType: 'Auction',
+            entityId: auction._id,
+            entityRef: auction.loanId,
+            before,
+            after: auction
+        });
+
+        res.json({ success: true, data: auction });
+    } catch (err) {
+        console.error('Error scheduling auction:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auctions/:id/sale
+// @desc    Record the sale, apply the proceeds to the loan and work out the
+//          surplus owed to the customer or the shortfall still owed by them
+router.post('/:id/sale', [
+    auth,
+    requirePermission('auction.manage'),
+    idempotency,
+    body('salePrice').isFloat({ min: 0 }).withMessage('Sale price must be a non-negative number'),
+    body('expenses').optional().isFloat({ min: 0 }).withMessage('Expenses must be a non-negative number'),
+    body('buyerName').notEmpty().withMessage('Buyer name is required'),
+    body('saleDate').optional().isISO8601().withMessage('Invalid sale date')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const found = await findAuction(req, res);
+        if (!found) return;
+        if (found.status !== 'scheduled') {
+            return res.status(400).json({ message: 'Only a scheduled auction can be sold' });
+        }
+        const current = await Loan.findById(found.loan);
+        if (current.status !== 'defaulted') {
+            return res.status(400).json({ message: `Loan is ${current.status}; cancel the auction instead` });
+        }
+
+        const salePrice = Number(req.body.salePrice);
+        const expenses = Number(req.body.expenses) || 0;
+        const saleDate = req.body.saleDate ? new Date(req.body.saleDate) : new Date();
+        if (saleDate > new Date()) {
+            return res.status(400).json({ message: 'Sale date cannot be in the future' });
+        }
+        const netProceeds = Math.round((salePrice - expenses) * 100) / 100;
+
+        // The proceeds and the sale are saved together, or not at all
+        let before;
+        const { auction, loan, result } = await withAuctionTransaction(found, {
+            auctionFilter: { status: 'scheduled' },
+            loanFilter: { status: 'defaulted' }
+        }, async (auction, loan) => {
+            before = { auction: snapshot(auction), loan: snapshot(loan) };
+            const result = await loan.applyAuctionProceeds({ netProceeds, saleDate });
+
+            Object.assign(auction, {
+                status: 'sold',
+                saleDate,
+                salePrice,
+                expenses,
+                buyerName: req.body.buyerName,
+                buyerContact: req.body.buyerContact,
+                netProceeds,
+                outstandingAtSale: result.outstanding,
+                appliedToLoan: result.applied,
+                surplus: result.surplus,
+                shortfall: result.shortfall,
+                shortfallStatus: result.shortfall > 0 ? 'outstanding' : 'none'
+            });
+            auction.surplusRefund.status = result.surplus > 0 ? 'pending' : 'none';
+            auction.closeIfResolved();
+            await auction.save();
+            return { auction, loan, result };
+        });
+        await auditAuction(req, 'auction.sale', { auction, loan, before });
+
+        try {
+            await sendBrevoEmail({
+                to: loan.email,
+                subject: `Auction of Pledged Gold - Loan ${loan.loanId}`,
+                html: `
+                    <p>Dear ${loan.name},</p>
+                    <p>The gold pledged against loan ${loan.loanId} was sold at auction on ${saleDate.toLocaleDateString()}.</p>
+                    <ul>
+                        <li>Sale Price: ₹${salePrice}</li>
+                        <li>Auction Expenses: ₹${expenses}</li>
+                        <li>Amount Owed at Sale: ₹${result.outstanding.total}</li>
+                        <li>Applied to Loan: ₹${result.applied}</li>
+                        ${result.surplus > 0 ? `<li>Surplus Refundable to You: ₹${result.surplus}</li>` : ''}
+                        ${result.shortfall > 0 ? `<li>Shortfall Still Payable: ₹${result.shortfall}</li>` : ''}
+                    </ul>
+                    <p>Please contact us ${result.surplus > 0 ? 'to collect your refund' : 'for any questions'}.</p>
+                    <p>Best regards,<br/>Cyan Finance Team</p>
+                `
+            });
+        } catch (emailErr) {
+            console.error('Failed to send auction result email:', emailErr);
+        }
+
+        res.json({ success: true, data: { auction, loan } });
+    } catch (err) {
+        console.error('Error recording auction sale:', err);
+        if (err.name === 'VersionError') {
+            return res.status(409).json({ message: 'The auction changed while the sale was being recorded; try again' });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auctions/:id/refund
+// @desc    Record the refund of the auction surplus to the customer
+router.post('/:id/refund', [
+    auth,
+    requirePermission('auction.manage'),
+    idempotency,
+    openTill,
+    body('method').isIn(['handcash', 'online']).withMessage('Invalid refund method'),
+    body('reference').if(body('method').equals('online')).notEmpty().withMessage('Reference is required for online refunds')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const found = await findAuction(req, res);
+        if (!found) return;
+        if (found.surplusRefund.status !== 'pending') {
+            return res.status(400).json({ message: 'No surplus refund is pending on this auction' });
+        }
+
+        // The refund and its ledger entry are saved together, or not at all
+        let before;
+        const auction = await withAuctionTransaction(found, {
+            auctionFilter: { 'surplusRefund.status': 'pending' }
+        }, async (auction, loan, session) => {
+            before = { auction: snapshot(auction) };
+            auction.surplusRefund = {
+                status: 'refunded',
+                refundedAt: new Date(),
+                method: req.body.method,
+                reference: req.body.reference,
+                refundedBy: req.user._id
+            };
+            auction.closeIfResolved();
+            await auction.save();
+
+            await postSurplusRefund(loan, {
+                amount: auction.surplus,
+                method: req.body.method,
+                date: auction.surplusRefund.refundedAt,
+                postedBy: req.user._id
+            }, session);
+            return auction;
+        });
+        await auditAuction(req, 'auction.refund', { auction, before });
+
+        res.json({ success: true, data: auction });
+    } catch (err) {
+        console.error('Error recording surplus refund:', err);
+        if (err.name === 'VersionError') {
+            return res.status(409).json({ message: 'The auction changed while the refund was being recorded; try again' });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auctions/:id/shortfall
+// @desc    Record money recovered towards the auction shortfall, or write it off
+router.post('/:id/shortfall', [
+    auth,
+    requirePermission('auction.manage'),
+    idempotency,
+    openTill,
+    body('action').isIn(['recover', 'write_off']).withMessage("Action must be 'recover' or 'write_off'"),
+    body('amount').if(body('action').equals('recover')).isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+    body('paymentMethod').if(body('action').equals('recover')).isIn(['handcash', 'online']).withMessage('Invalid payment method'),
+    body('transactionId').if(body('paymentMethod').equals('online')).notEmpty().withMessage('Transaction ID is required for online payments')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const found = await findAuction(req, res);
+        if (!found) return;
+        if (found.shortfallStatus !== 'outstanding') {
+            return res.status(400).json({ message: 'No shortfall is outstanding on this auction' });
+        }
+
+        const { action, amount, paymentMethod, transactionId } = req.body;
+        if (action === 'recover' && paymentMethod === 'online' && await Loan.isTransactionIdUsed(transactionId)) {
+            return res.status(409).json({ message: `Transaction ID ${transactionId} has already been recorded` });
+        }
+
+        // The loan and the auction are saved together, or not at all
+        let before;
+        const { auction, loan, result } = await withAuctionTransaction(found, {
+            auctionFilter: { shortfallStatus: 'outstanding' }
+        }, async (auction, loan) => {
+            before = { auction: snapshot(auction), loan: snapshot(loan) };
+            const result = await loan.settleAuctionShortfall({
+                amount: Number(amount) || 0,
+                paymentMethod,
+                transactionId,
+                collectedBy: req.user._id,
+                writeOff: action === 'write_off'
+            });
+
+            if (loan.remainingBalance <= 0) {
+                auction.shortfallStatus = action === 'write_off' ? 'written_off' : 'recovered';
+            }
+            auction.closeIfResolved();
+            await auction.save();
+            return { auction, loan, result };
+        });
+        await auditAuction(req, 'auction.shortfall', { auction, loan, before, details: { action } });
+
+        res.json({
+            success: true,
+            data: {
+                auction,
+                recovered: result.recovered,
+                writtenOff: result.writtenOff,
+                remainingShortfall: loan.remainingBalance
+            }
+        });
+    } catch (err) {
+        console.error('Error settling auction shortfall:', err);
+        if (err.name === 'VersionError') {
+            return res.status(409).json({ message: 'The auction changed while the shortfall was being settled; try again' });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/auctions/:id/cancel
+// @desc    Cancel an auction before the sale, e.g. when the customer has paid up.
+//          A loan still defaulted goes back to active.
+router.post('/:id/cancel', [
+    auth,
+    requirePermission('auction.manage'),
+    body('reason').notEmpty().withMessage('Reason is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const found = await findAuction(req, res);
+        if (!found) return;
+        if (!['notice_period', 'scheduled'].includes(found.status)) {
+            return res.status(400).json({ message: `An auction that is ${found.status} cannot be cancelled` });
+        }
+
+        let before;
+        let loan;
+        const auction = await withAuctionTransaction(found, {
+            auctionFilter: { status: { $in: ['notice_period', 'scheduled'] } }
+        }, async (auction, current) => {
+            before = { auction: snapshot(auction), loan: snapshot(current) };
+            loan = current;
+            if (loan.status === 'defaulted') {
+                loan.status = 'active';
+                loan.defaultedDate = undefined;
+                await loan.save();
+            }
+
+            auction.status = 'cancelled';
+            auction.cancelReason = req.body.reason;
+            await auction.save();
+            return auction;
+        });
+        await auditAuction(req, 'auction.cancel', { auction, loan, before, details: { reason: req.body.reason } });
+
+        res.json({ success: true, data: auction });
+    } catch (err) {
+        console.error('Error cancelling auction:', err);
+        if (err.name === 'VersionError') {
+            return res.status(409).json({ message: 'The auction changed while it was being cancelled; try again' });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -144,7 +144,8 @@ router.post('/login', [
 });
 
 // @route   POST /auth/register-admin
-// @desc    Register admin user (temporary, remove in production)
+// @desc    Register the first admin user. Once an admin exists, staff are added
+//          through /api/admin/employees.
 router.post('/register-admin', [
     body('name').notEmpty().withMessage('Name is required'),
     body('email').isEmail().withMessage('Please include a valid email'),
@@ -158,6 +159,10 @@ router.post('/register-admin', [
 
         const { name, email, password } = req.body;
 
+        if (await User.exists({ role: 'admin' })) {
+            return res.status(403).json({ message: 'An admin already exists. Ask them to add you.' });
+        }
+
         // Check if user exists
         let user = await User.findOne({ email });
         if (user) {
@@ -232,10 +237,10 @@ router.post('/forgot-password', async (req, res) => {
   const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 min expiry
 
   // Remove any previous OTPs for this email
-  await Otp.deleteMany({ email });
+  await Otp.deleteMany({ email, purpose: 'password_reset' });
 
   // Save new OTP
-  await Otp.create({ email, otp, expiresAt });
+  await Otp.create({ email, otp, expiresAt, purpose: 'password_reset' });
 
   try {
     await sendOtpEmail(email, otp);
@@ -248,7 +253,7 @@ router.post('/forgot-password', async (req, res) => {
 // 2. Reset Password - Verify OTP and Set New Password (PUBLIC, OTP-based)
 router.post('/reset-password', async (req, res) => {
   const { email, otp, newPassword } = req.body;
-  const otpRecord = await Otp.findOne({ email, otp });
+  const otpRecord = await Otp.findOne({ email, otp, purpose: 'password_reset' });
 
   if (!otpRecord || otpRecord.expiresAt < new Date()) {
     return res.status(400).json({ message: 'Invalid or expired OTP' });
@@ -261,7 +266,7 @@ router.post('/reset-password', async (req, res) => {
   await user.save();
 
   // Delete OTP after use
-  await Otp.deleteMany({ email });
+  await Otp.deleteMany({ email, purpose: 'password_reset' });
 
   res.json({ message: 'Password reset successful' });
 });
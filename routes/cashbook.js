@@ -0,0 +1,315 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const CashTill = require('../models/CashTill');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const branchScope = require('../middleware/branchScope');
+const { businessDate, tillMovements, expectedCash } = require('../utils/cashbook');
+const { round2 } = require('../utils/loanCalculator');
+const { snapshot, recordAudit } = require('../utils/audit');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// @route   GET /api/cashbook/till
+// @desc    Get the caller's till for ?date= (default today) with its handcash movements
+router.get('/till', [auth, requirePermission('cashbook.till')], async (req, res) => {
+    try {
+        const day = req.query.date || businessDate();
+        if (!DATE_PATTERN.test(day)) {
+            return res.status(400).json({ message: 'Date must be YYYY-MM-DD' });
+        }
+
+        const till = await CashTill.findOne({ user: req.user._id, businessDate: day });
+        const movements = await tillMovements(req.user._id, day);
+
+        res.json({
+            success: true,
+            data: {
+                businessDate: day,
+                till,
+                ...movements,
+                expectedCash: expectedCash(till ? till.openingBalance : 0, movements)
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching cash till:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/cashbook/till/open
+// @desc    Open today's till with the cash float handed to the caller
+router.post('/till/open', [auth, requirePermission('cashbook.till'), [
+    body('openingBalance').optional().isFloat({ min: 0 }).withMessage('Opening balance must be a non-negative number')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const day = businessDate();
+        if (await CashTill.exists({ user: req.user._id, businessDate: day })) {
+            return res.status(400).json({ message: 'Your till for today is already open' });
+        }
+
+        const till = await CashTill.create({
+            user: req.user._id,
+            branch: req.user.branch,
+            businessDate: day,
+            openingBalance: Number(req.body.openingBalance) || 0
+        });
+        await recordAudit(req, {
+            action: 'till.open',
+            entityType: 'CashTill',
+            entityId: till._id,
+            entityRef: till.businessDate,
+            after: till
+        });
+
+        res.status(201).json({ success: true, data: till });
+    } catch (err) {
+        console.error('Error opening cash till:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/cashbook/till/close
+// @desc    Close the caller's till for the day (default today) with the cash counted,
+//          recording any difference from what the till should hold
+router.post('/till/close', [auth, requirePermission('cashbook.till'), [
+    body('countedCash').isFloat({ min: 0 }).withMessage('Counted cash must be a non-negative number'),
+    body('date').optional().matches(DATE_PATTERN).withMessage('Date must be YYYY-MM-DD'),
+    body('notes').optional().trim()
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const day = req.body.date || businessDate();
+        if (day > businessDate()) {
+            return res.status(400).json({ message: 'Cannot close a till for a future date' });
+        }
+
+        // A till that was never opened is closed with no float
+        let till = await CashTill.findOne({ user: req.user._id, businessDate: day });
+        if (!till) {
+            till = new CashTill({ user: req.user._id, branch: req.user.branch, businessDate: day });
+        }
+        if (till.status !== 'open') {
+            return res.status(400).json({ message: `Your till for ${day} is already ${till.status}` });
+        }
+        const before = till.isNew ? undefined : snapshot(till);
+
+        const movements = await tillMovements(req.user._id, day);
+        const expected = expectedCash(till.openingBalance, movements);
+        const countedCash = Number(req.body.countedCash);
+
+        Object.assign(till, {
+            status: 'closed',
+            collections: movements.collections,
+            disbursements: movements.disbursements,
+            refunds: movements.refunds,
+            reversals: movements.reversals,
+            expectedCash: expected,
+            countedCash,
+            difference: round2(countedCash - expected),
+            closingNotes: req.body.notes,
+            closedAt: new Date()
+        });
+        await till.save();
+        await recordAudit(req, {
+            action: 'till.close',
+            entityType: 'CashTill',
+            entityId: till._id,
+            entityRef: till.businessDate,
+            before,
+            after: till
+        });
+
+        res.json({
+            success: true,
+            message: till.difference === 0
+                ? 'Till closed; the cash tallies'
+                : `Till closed with cash ${till.difference > 0 ? 'excess' : 'short'} by ₹${Math.abs(till.difference)}`,
+            data: { till, entries: movements.entries }
+        });
+    } catch (err) {
+        console.error('Error closing cash till:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/cashbook/tills
+// @desc    Get the tills of the caller's branch for ?date= (default today), optionally
+//          by ?status=, ?user= and, for staff working across branches, ?branch=, with
+//          the day's cash position across them
+router.get('/tills', [auth, requirePermission('cashbook.review'), branchScope], async (req, res) => {
+    try {
+        const day = req.query.date || businessDate();
+        if (!DATE_PATTERN.test(day)) {
+            return res.status(400).json({ message: 'Date must be YYYY-MM-DD' });
+        }
+
+        const filter = { businessDate: day };
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.user) {
+            if (!mongoose.isValidObjectId(req.query.user)) {
+                return res.status(400).json({ message: 'Invalid user' });
+            }
+            filter.user = req.query.user;
+        }
+        if (req.query.branch) {
+            if (!mongoose.isValidObjectId(req.query.branch)) {
+                return res.status(400).json({ message: 'Invalid branch' });
+            }
+            filter.branch = req.query.branch;
+        }
+
+        const tills = await CashTill.find({ ...filter, ...req.branchFilter })
+            .sort({ createdAt: 1 })
+            .populate('user', 'name email role')
+            .populate('branch', 'name code')
+            .populate('reviewedBy', 'name email');
+        const total = field => round2(tills.reduce((sum, till) => sum + (till[field] || 0), 0));
+
+        res.json({
+            success: true,
+            data: {
+                businessDate: day,
+                tills,
+                position: {
+                    openingBalance: total('openingBalance'),
+                    collections: total('collections'),
+                    disbursements: total('disbursements'),
+                    refunds: total('refunds'),
+                    reversals: total('reversals'),
+                    expectedCash: total('expectedCash'),
+                    countedCash: total('countedCash'),
+                    difference: total('difference'),
+                    openTills: tills.filter(till => till.status === 'open').length
+                }
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching cash tills:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/cashbook/tills/:id
+// @desc    Get a till with its handcash movements (its owner, or a till reviewer)
+router.get('/tills/:id', [auth, requirePermission('cashbook.till')], async (req, res) => {
+    try {
+        const till = mongoose.isValidObjectId(req.params.id)
+            ? await CashTill.findById(req.params.id).populate('user', 'name email role')
+            : null;
+        if (!till) {
+            return res.status(404).json({ message: 'Till not found' });
+        }
+        if (!till.user._id.equals(req.user._id) && !req.permissions.includes('cashbook.review')) {
+            return res.status(403).json({ message: 'Access denied.' });
+        }
+
+        const movements = await tillMovements(till.user._id, till.businessDate);
+        res.json({ success: true, data: { till, entries: movements.entries } });
+    } catch (err) {
+        console.error('Error fetching cash till:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/cashbook/tills/:id/approve
+// @desc    Accept a closed till's cash position (another reviewer's, for one's own till)
+router.post('/tills/:id/approve', [auth, requirePermission('cashbook.review'), branchScope, [
+    body('notes').optional().trim()
+]], async (req, res) => {
+    try {
+        const till = mongoose.isValidObjectId(req.params.id)
+            ? await CashTill.findOne({ _id: req.params.id, ...req.branchFilter })
+            : null;
+        if (!till) {
+            return res.status(404).json({ message: 'Till not found' });
+        }
+        if (till.status !== 'closed') {
+            return res.status(400).json({ message: `Only a closed till can be approved; this one is ${till.status}` });
+        }
+        // Whoever counted the cash cannot also be the one to accept it
+        if (till.user.equals(req.user._id)) {
+            return res.status(403).json({ message: 'You cannot approve your own till' });
+        }
+        const before = snapshot(till);
+
+        Object.assign(till, {
+            status: 'approved',
+            reviewedBy: req.user._id,
+            reviewedAt: new Date(),
+            reviewNotes: req.body.notes
+        });
+        await till.save();
+        await recordAudit(req, {
+            action: 'till.approve',
+            entityType: 'CashTill',
+            entityId: till._id,
+            entityRef: till.businessDate,
+            before,
+            after: till
+        });
+
+        res.json({ success: true, data: till });
+    } catch (err) {
+        console.error('Error approving cash till:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/cashbook/tills/:id/reopen
+// @desc    Send a closed till back to its owner to recount and close again
+router.post('/tills/:id/reopen', [auth, requirePermission('cashbook.review'), branchScope, [
+    body('notes').trim().notEmpty().withMessage('Say why the till is being reopened')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const till = mongoose.isValidObjectId(req.params.id)
+            ? await CashTill.findOne({ _id: req.params.id, ...req.branchFilter })
+            : null;
+        if (!till) {
+            return res.status(404).json({ message: 'Till not found' });
+        }
+        if (till.status !== 'closed') {
+            return res.status(400).json({ message: `Only a closed till can be reopened; this one is ${till.status}` });
+        }
+        const before = snapshot(till);
+
+        Object.assign(till, {
+            status: 'open',
+            reviewedBy: req.user._id,
+            reviewedAt: new Date(),
+            reviewNotes: req.body.notes
+        });
+        await till.save();
+        await recordAudit(req, {
+            action: 'till.reopen',
+            entityType: 'CashTill',
+            entityId: till._id,
+            entityRef: till.businessDate,
+            before,
+            after: till
+        });
+
+        res.json({ success: true, data: till });
+    } catch (err) {
+        console.error('Error reopening cash till:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -2,16 +2,24 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const Loan = require('../models/Loan');
-const Customer = require('../models/Customer');
 const User = require('../models/User');
+const Scheme = require('../models/Scheme');
+const Branch = require('../models/Branch');
 const auth = require('../middleware/auth');
-const { sendBrevoEmail } = require('../utils/brevo');
+const requirePermission = require('../middleware/requirePermission');
+const idempotency = require('../middleware/idempotency');
+const openTill = require('../middleware/openTill');
+const branchScope = require('../middleware/branchScope');
+const { createCustomerAndLoan, auditLoanCreation, sendLoanCreationEmails } = require('../utils/loanOrigination');
+const { assessLoanToValue, validateGoldItems } = require('../utils/goldValuation');
 
 // @route   GET /api/employee/check-aadhar/:aadharNumber
-// @desc    Check if an Aadhar number exists and get customer details (employee access)
-router.get('/check-aadhar/:aadharNumber', auth, async (req, res) => {
+// @desc    Check if an Aadhar number exists among the branch's loans and get customer
+//          details (employee access)
+router.get('/check-aadhar/:aadharNumber', [auth, requirePermission('customer.view'), branchScope], async (req, res) => {
     try {
         const loan = await Loan.findOne({
+            ...req.branchFilter,
             $or: [
                 { aadharNumber: req.params.aadharNumber },
                 { customerId: req.params.aadharNumber }
@@ -39,13 +47,14 @@ router.get('/check-aadhar/:aadharNumber', auth, async (req, res) => {
 });
 
 // @route   GET /api/employee/loans
-// @desc    Get all loans (employee access)
-router.get('/loans', auth, async (req, res) => {
+// @desc    Get the loans of the caller's branch (employee access)
+router.get('/loans', [auth, requirePermission('loan.view'), branchScope], async (req, res) => {
     try {
         const oneMonthAgo = new Date();
         oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
         // Show all except loans closed > 1 month ago
         const loans = await Loan.find({
+            ...req.branchFilter,
             $or: [
                 { status: { $ne: 'closed' } },
                 { status: 'closed', $or: [ { closedDate: { $exists: false } }, { closedDate: { $gte: oneMonthAgo } } ] }
@@ -61,10 +70,12 @@ router.get('/loans', auth, async (req, res) => {
 });
 
 // @route   GET /api/employee/customers
-// @desc    Get all customers who have taken at least one loan (employee access)
-router.get('/customers', auth, async (req, res) => {
+// @desc    Get the customers who have taken at least one loan at the caller's branch
+//          (employee access)
+router.get('/customers', [auth, requirePermission('customer.view'), branchScope], async (req, res) => {
     try {
         const customers = await Loan.aggregate([
+            { $match: req.branchFilter },
             {
                 $group: {
                     _id: '$aadharNumber',
@@ -110,10 +121,29 @@ router.get('/customers', auth, async (req, res) => {
     }
 });
 
+// @route   GET /api/employee/schemes
+// @desc    Get the active loan schemes to choose from (employee access)
+router.get('/schemes', [auth, requirePermission('scheme.view')], async (req, res) => {
+    try {
+        const schemes = await Scheme.find({ isActive: true }).sort({ name: 1 });
+        res.json({
+            success: true,
+            data: schemes
+        });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   POST /api/employee/loans
-// @desc    Create a new loan as employee
+// @desc    Create a new loan as employee. It waits for approval unless the caller
+//          can approve loans.
 router.post('/loans', [
     auth,
+    requirePermission('loan.create'),
+    branchScope,
+    idempotency,
+    openTill,
     body('aadharNumber')
         .matches(/^\d{12}$/).withMessage('Aadhar number must be exactly 12 digits'),
     body(['amount', 'loanAmount'])
@@ -124,16 +154,8 @@ router.post('/loans', [
         .optional()
         .isNumeric().withMessage('Duration must be a number')
         .isInt({ min: 1 }).withMessage('Duration must be at least 1 month'),
-    body('interestRate')
-        .exists().withMessage('Interest rate is required')
-        .isNumeric().withMessage('Interest rate must be a number')
-        .isFloat({ min: 0 }).withMessage('Interest rate cannot be negative'),
-    body('monthlyPayment')
-        .exists().withMessage('Monthly payment is required')
-        .isNumeric().withMessage('Monthly payment must be a number'),
-    body('totalPayment')
-        .exists().withMessage('Total payment is required')
-        .isNumeric().withMessage('Total payment must be a number')
+    // The scheme supplies the interest rate and repayment type
+    body('schemeId').notEmpty().withMessage('A loan scheme is required')
 ], async (req, res) => {
     try {
         // Check for validation errors
@@ -157,172 +179,103 @@ router.post('/loans', [
             permanentAddress,
             emergencyContact,
             goldItems,
-            interestRate,
             amount,
             loanAmount,
             term,
             duration,
-            monthlyPayment,
-            totalPayment
+            schemeId
         } = req.body;
 
         // Use the correct field names, falling back to alternates if needed
         const finalAmount = amount || loanAmount;
         const finalTerm = term || duration;
 
-        // Find or create customer
-        let customer = await Customer.findOne({ aadharNumber });
-        let isNewCustomer = false;
-        
-        if (!customer) {
-            // Create new customer
-            customer = await Customer.create({
-                aadharNumber,
-                name,
-                email,
-                primaryMobile,
-                secondaryMobile,
-                presentAddress,
-                permanentAddress,
-                emergencyContact
+        // The loan belongs to the branch granting it: the caller's, or for
+        // staff working across branches the one named in branchId
+        const branchId = req.body.branchId && req.permissions.includes('branch.all') ? req.body.branchId : req.user.branch;
+        const branch = branchId ? await Branch.findActive(branchId) : null;
+        if (branchId && !branch) {
+            return res.status(400).json({
+                errors: [{ msg: 'Branch not found or inactive' }]
             });
-            isNewCustomer = true;
-
-            // Send welcome email to new customer
-            try {
-                await sendBrevoEmail({
-                    to: email,
-                    subject: 'Welcome to Cyan Finance',
-                    html: `
-                        <p>Dear ${name},</p>
-                        <p>Welcome to Cyan Finance! We're pleased to have you as our customer.</p>
-                        <p>Your account has been successfully created with the following details:</p>
-                        <ul>
-                            <li>Name: ${name}</li>
-                            <li>Email: ${email}</li>
-                            <li>Primary Mobile: ${primaryMobile}</li>
-                            ${secondaryMobile ? `<li>Secondary Mobile: ${secondaryMobile}</li>` : ''}
-                        </ul>
-                        <p>If you have any questions or need assistance, please don't hesitate to contact us.</p>
-                        <p>Best regards,<br/>Cyan Finance Team</p>
-                    `
-                });
-            } catch (emailErr) {
-                console.error('Failed to send welcome email:', emailErr);
-                // Continue with loan creation even if email fails
-            }
-        } else {
-            // Update existing customer's information
-            customer.name = name;
-            customer.email = email;
-            customer.primaryMobile = primaryMobile;
-            customer.secondaryMobile = secondaryMobile;
-            customer.presentAddress = presentAddress;
-            customer.permanentAddress = permanentAddress;
-            customer.emergencyContact = emergencyContact;
-            await customer.save();
         }
 
-        // Validate goldItems array
-        if (!Array.isArray(goldItems) || goldItems.length === 0) {
+        // Take the rate and repayment type from the scheme, and hold the loan to its limits
+        const scheme = await Scheme.findActive(schemeId);
+        if (!scheme) {
             return res.status(400).json({
-                errors: [{ msg: 'At least one gold item must be provided' }]
+                errors: [{ msg: 'Loan scheme not found or inactive' }]
+            });
+        }
+        const schemeErrors = scheme.validateLoan({ amount: Number(finalAmount), term: Number(finalTerm) });
+        if (schemeErrors.length > 0) {
+            return res.status(400).json({
+                errors: schemeErrors.map(msg => ({ msg }))
             });
         }
 
-        // Validate each gold item
-        const invalidGoldItems = goldItems.filter(
-            item => !item.description || !item.grossWeight || !item.netWeight
-        );
-
-        if (invalidGoldItems.length > 0) {
+        const goldItemErrors = validateGoldItems(goldItems);
+        if (goldItemErrors.length > 0) {
             return res.status(400).json({
-                errors: [{ msg: 'Each gold item must have description, grossWeight, and netWeight' }]
+                errors: goldItemErrors.map(msg => ({ msg }))
             });
         }
 
-        // Generate custom loanId
-        const now = new Date();
-        const year = now.getFullYear() % 1000; // last 3 digits
-        const month = (now.getMonth() + 1).toString().padStart(2, '0');
-        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-        const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
-        const loanCount = await Loan.countDocuments({ createdAt: { $gte: monthStart, $lte: monthEnd } }) + 1;
-        const loanId = `CY${year}${month}${loanCount.toString().padStart(2, '0')}`;
+        // Value the pledged gold at the current rate and check the LTV ceiling
+        const { valuation, action: ltvAction } = await assessLoanToValue(goldItems, Number(finalAmount), {
+            ltvRatio: scheme.ltvCap
+        });
+        if (valuation.ltvExceeded && ltvAction === 'reject') {
+            return res.status(400).json({
+                errors: [{ msg: `Loan amount exceeds the eligible amount of ₹${valuation.eligibleAmount} for the pledged gold` }],
+                valuation
+            });
+        }
 
-        // Create new loan data
+        // Create new loan data; the customer's details are added from the saved customer
         const loanData = {
-            customerId: customer._id,
-            aadharNumber: customer.aadharNumber,
-            name: customer.name,
-            email: customer.email,
-            primaryMobile: customer.primaryMobile,
-            secondaryMobile: customer.secondaryMobile,
-            presentAddress: customer.presentAddress,
-            permanentAddress: customer.permanentAddress,
-            emergencyContact: customer.emergencyContact,
             goldItems,
-            interestRate: Number(interestRate),
+            valuation,
+            branch: branch ? branch._id : undefined,
+            scheme: scheme._id,
+            penaltyRule: scheme.penalty,
+            interestRate: scheme.rateForAmount(Number(finalAmount)),
             amount: Number(finalAmount),
             term: Number(finalTerm),
-            monthlyPayment: Number(monthlyPayment),
-            totalPayment: Number(totalPayment),
-            status: 'active',
+            repaymentType: scheme.repaymentType,
+            // monthlyPayment, totalPayment and remainingBalance are computed by the model.
+            // Staff who cannot approve loans create them for an approver to check
+            status: req.permissions.includes('loan.approve') ? 'active' : 'pending_approval',
             createdBy: req.user._id,
-            loanId,
-            remainingBalance: Number(totalPayment),
             totalPaid: 0,
             payments: []
         };
 
         console.log('Creating new loan with data:', JSON.stringify(loanData, null, 2));
 
-        try {
-            // Create new loan
-            const loan = await Loan.create(loanData);
-            console.log('Loan created successfully:', loan);
+        // Everything is validated, so write the customer and the loan together
+        const created = await createCustomerAndLoan({
+            aadharNumber,
+            name,
+            email,
+            primaryMobile,
+            secondaryMobile,
+            presentAddress,
+            permanentAddress,
+            emergencyContact
+        }, loanData);
+        const { loan } = created;
+        console.log('Loan created successfully:', loan);
+        await auditLoanCreation(req, created);
 
-            // Send loan confirmation email
-            try {
-                await sendBrevoEmail({
-                    to: loan.email,
-                    subject: 'Loan Confirmation - Cyan Finance',
-                    html: `
-                        <p>Dear ${loan.name},</p>
-                        <p>Your loan has been successfully created with the following details:</p>
-                        <p><b>Loan Details:</b></p>
-                        <ul>
-                            <li>Loan ID: ${loan.loanId}</li>
-                            <li>Loan Amount: ₹${loan.amount}</li>
-                            <li>Term: ${loan.term} months</li>
-                            <li>Interest Rate: ${loan.interestRate}%</li>
-                            <li>Monthly Payment: ₹${loan.monthlyPayment}</li>
-                            <li>Total Payment: ₹${loan.totalPayment}</li>
-                        </ul>
-                        <p><b>Gold Items:</b></p>
-                        <ul>
-                            ${loan.goldItems.map(item => `
-                                <li>${item.description} - Gross Weight: ${item.grossWeight}g, Net Weight: ${item.netWeight}g</li>
-                            `).join('')}
-                        </ul>
-                        <p>Please ensure timely payment of your monthly installments.</p>
-                        <p>If you have any questions, please don't hesitate to contact us.</p>
-                        <p>Best regards,<br/>Cyan Finance Team</p>
-                    `
-                });
-            } catch (emailErr) {
-                console.error('Failed to send loan confirmation email:', emailErr);
-                // Continue with response even if email fails
-            }
+        // Emails go out only once the transaction has committed
+        await sendLoanCreationEmails(created);
 
-            res.status(201).json({
-                success: true,
-                data: loan
-            });
-        } catch (err) {
-            console.error('Error creating loan:', err);
-            res.status(500).json({ message: err.message });
-        }
+        res.status(201).json({
+            success: true,
+            data: loan,
+            valuation
+        });
     } catch (err) {
         console.error('Error creating loan:', err);
         console.error('Error details:', {
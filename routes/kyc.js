@@ -0,0 +1,221 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const KycDocument = require('../models/KycDocument');
+const Customer = require('../models/Customer');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const branchScope = require('../middleware/branchScope');
+const customerAccess = require('../middleware/customerAccess');
+const documentUpload = require('../middleware/documentUpload');
+const { saveUploadedDocument, downloadLink } = require('../utils/kycDocuments');
+const { snapshot, recordAudit } = require('../utils/audit');
+
+// @route   GET /api/kyc/document-types
+// @desc    Get the KYC documents that can be uploaded, the file formats each is
+//          taken in and the largest file size allowed
+router.get('/document-types', auth, (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            types: Object.entries(KycDocument.DOCUMENT_TYPES).map(([type, { label, formats }]) => ({ type, label, formats })),
+            maxFileSize: KycDocument.MAX_FILE_SIZE
+        }
+    });
+});
+
+// @route   GET /api/kyc/pending
+// @desc    Get the latest document versions waiting to be verified, oldest first,
+//          for customers of the caller's branch or, for staff working across
+//          branches, every branch
+router.get('/pending', [auth, requirePermission('kyc.verify'), branchScope], async (req, res) => {
+    try {
+        const filter = { status: 'pending', supersededAt: null };
+        if (Object.keys(req.branchFilter).length > 0) {
+            filter.customer = { $in: await Customer.distinct('_id', req.branchFilter) };
+        }
+        const documents = await KycDocument.find(filter)
+            .sort({ createdAt: 1 })
+            .populate('customer', 'name aadharNumber')
+            .populate('uploadedBy', 'name email');
+        res.json({ success: true, data: documents });
+    } catch (err) {
+        console.error('Error fetching documents pending verification:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/kyc/customers/:customerId/documents
+// @desc    Get a customer's KYC documents: the latest version of each, or every
+//          version with ?history=true
+router.get('/customers/:customerId/documents', [auth, requirePermission('kyc.view'), customerAccess()], async (req, res) => {
+    try {
+        const filter = { customer: req.customer._id };
+        if (req.query.history !== 'true') {
+            filter.supersededAt = null;
+        }
+        const documents = await KycDocument.find(filter)
+            .sort({ type: 1, version: -1 })
+            .populate('uploadedBy', 'name email')
+            .populate('review.reviewedBy', 'name email');
+        res.json({ success: true, data: documents });
+    } catch (err) {
+        console.error('Error fetching customer documents:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/kyc/customers/:customerId/documents
+// @desc    Upload a KYC document for a customer as multipart/form-data, with the
+//          file in "file" and the document type in "type". A type uploaded
+//          before gets a new version, which waits to be verified.
+router.post('/customers/:customerId/documents', [
+    auth,
+    requirePermission('kyc.upload'),
+    customerAccess(),
+    documentUpload,
+    body('type').isIn(Object.keys(KycDocument.DOCUMENT_TYPES)).withMessage(`Document type must be one of: ${Object.keys(KycDocument.DOCUMENT_TYPES).join(', ')}`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { document, status, message } = await saveUploadedDocument(req, req.customer);
+        if (!document) {
+            return res.status(status).json({ message });
+        }
+        res.status(201).json({ success: true, data: document });
+    } catch (err) {
+        console.error('Error uploading customer document:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Find the document named by the route among the customer's, or send 404
+async function findCustomerDocument(req, res) {
+    const document = mongoose.isValidObjectId(req.params.documentId)
+        ? await KycDocument.findOne({ _id: req.params.documentId, customer: req.customer._id })
+        : null;
+    if (!document) {
+        res.status(404).json({ message: 'Document not found' });
+    }
+    return document;
+}
+
+// @route   GET /api/kyc/customers/:customerId/documents/:documentId/link
+// @desc    Get a short-lived signed link that downloads the document
+router.get('/customers/:customerId/documents/:documentId/link', [auth, requirePermission('kyc.view'), customerAccess()], async (req, res) => {
+    try {
+        const document = await findCustomerDocument(req, res);
+        if (!document) return;
+
+        res.json({ success: true, data: downloadLink(document) });
+    } catch (err) {
+        console.error('Error creating document link:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Verify or reject the latest version of a document. Whoever uploaded it
+// cannot also be the one to check it.
+async function reviewDocument(req, res, decision) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await findCustomerDocument(req, res);
+    if (!document) return;
+    if (document.supersededAt) {
+        return res.status(400).json({ message: 'A newer version of this document has been uploaded; review that one instead' });
+    }
+    if (document.status !== 'pending') {
+        return res.status(400).json({ message: `Document has already been ${document.status}` });
+    }
+    if (document.uploadedBy && document.uploadedBy.equals(req.user._id)) {
+        return res.status(403).json({ message: 'You cannot review a document you uploaded' });
+    }
+    const before = snapshot(document);
+
+    if (decision === 'verified') {
+        await document.verify({ verifiedBy: req.user._id, comments: req.body.comments });
+    } else {
+        await document.reject({ rejectedBy: req.user._id, comments: req.body.comments });
+    }
+    await recordAudit(req, {
+        action: decision === 'verified' ? 'kyc.verify' : 'kyc.reject',
+        entityType: 'KycDocument',
+        entityId: document._id,
+        entityRef: req.customer.aadharNumber,
+        before,
+        after: document
+    });
+
+    res.json({ success: true, message: `Document ${decision}`, data: document });
+}
+
+// @route   POST /api/kyc/customers/:customerId/documents/:documentId/verify
+// @desc    Mark a document checked against the original
+router.post('/customers/:customerId/documents/:documentId/verify', [auth, requirePermission('kyc.verify'), customerAccess(), [
+    body('comments').optional().trim()
+]], async (req, res) => {
+    try {
+        await reviewDocument(req, res, 'verified');
+    } catch (err) {
+        console.error('Error verifying document:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/kyc/customers/:customerId/documents/:documentId/reject
+// @desc    Reject a document, saying why, so a new version can be uploaded
+router.post('/customers/:customerId/documents/:documentId/reject', [auth, requirePermission('kyc.verify'), customerAccess(), [
+    body('comments').trim().notEmpty().withMessage('Say why the document is being rejected')
+]], async (req, res) => {
+    try {
+        await reviewDocument(req, res, 'rejected');
+    } catch (err) {
+        console.error('Error rejecting document:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/kyc/documents/:documentId/file?expires=&signature=
+// @desc    Download a document through a signed link. No login is needed: the
+//          link itself, which expires after a few minutes, is the permission.
+router.get('/documents/:documentId/file', async (req, res) => {
+    try {
+        const { expires, signature } = req.query;
+        if (!mongoose.isValidObjectId(req.params.documentId) ||
+            !KycDocument.checkDownloadLink(req.params.documentId, expires, signature)) {
+            return res.status(403).json({ message: 'This download link is invalid or has expired' });
+        }
+        const document = await KycDocument.findById(req.params.documentId);
+        if (!document) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+
+        const stream = await document.open();
+        res.set({
+            'Content-Type': document.mimeType,
+            'Content-Length': document.size,
+            'Content-Disposition': `attachment; filename="${document.type}_v${document.version}${path.extname(document.storage.key)}"`,
+            'Cache-Control': 'private, no-store',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        stream.on('error', err => {
+            console.error('Error reading document file:', err);
+            res.destroy(err);
+        });
+        stream.pipe(res);
+    } catch (err) {
+        console.error('Error downloading document:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
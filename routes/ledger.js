@@ -0,0 +1,221 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { round2 } = require('../utils/loanCalculator');
+
+// Parse ?from=&to= into a date filter. A bare `to` date means the whole of
+// that day. Returns null when a date is invalid.
+function parseDateRange({ from, to }) {
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to) {
+        range.$lte = new Date(to);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) range.$lte.setUTCHours(23, 59, 59, 999);
+    }
+    if (Object.values(range).some(date => isNaN(date))) {
+        return null;
+    }
+    return range;
+}
+
+// Debit and credit totals per account for entries matching `match`
+async function accountTotals(match = {}) {
+    const rows = await JournalEntry.aggregate([
+        { $match: match },
+        { $unwind: '$lines' },
+        { $group: {
+            _id: '$lines.account',
+            debit: { $sum: '$lines.debit' },
+            credit: { $sum: '$lines.credit' }
+        } }
+    ]);
+    return new Map(rows.map(row => [row._id, row]));
+}
+
+// Balance on the account's normal side: debit for assets and expenses,
+// credit for the rest
+function normalBalance(account, debit, credit) {
+    const debitNormal = account.type === 'asset' || account.type === 'expense';
+    return round2(debitNormal ? debit - credit : credit - debit);
+}
+
+// @route   GET /api/ledger/accounts
+// @desc    Get the chart of accounts with each account's balance
+router.get('/accounts', [auth, requirePermission('ledger.view')], async (req, res) => {
+    try {
+        const [accounts, totals] = await Promise.all([
+            LedgerAccount.find().sort({ code: 1 }),
+            accountTotals()
+        ]);
+        res.json({
+            success: true,
+            data: accounts.map(account => {
+                const { debit = 0, credit = 0 } = totals.get(account.code) || {};
+                return { ...account.toObject(), balance: normalBalance(account, debit, credit) };
+            })
+        });
+    } catch (err) {
+        console.error('Error fetching ledger accounts:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/ledger/trial-balance
+// @desc    Get the trial balance as of ?asOf= (default now)
+router.get('/trial-balance', [auth, requirePermission('ledger.view')], async (req, res) => {
+    try {
+        const range = parseDateRange({ to: req.query.asOf });
+        if (!range) {
+            return res.status(400).json({ message: 'Invalid date' });
+        }
+        const match = range.$lte ? { date: range } : {};
+        const [accounts, totals] = await Promise.all([
+            LedgerAccount.find().sort({ code: 1 }),
+            accountTotals(match)
+        ]);
+
+        const rows = accounts.map(account => {
+            const { debit = 0, credit = 0 } = totals.get(account.code) || {};
+            const net = round2(debit - credit);
+            return {
+                code: account.code,
+                name: account.name,
+                type: account.type,
+                debit: net > 0 ? net : 0,
+                credit: net < 0 ? -net : 0
+            };
+        });
+        const totalDebit = round2(rows.reduce((sum, row) => sum + row.debit, 0));
+        const totalCredit = round2(rows.reduce((sum, row) => sum + row.credit, 0));
+
+        res.json({
+            success: true,
+            data: {
+                asOf: range.$lte || new Date(),
+                accounts: rows,
+                totalDebit,
+                totalCredit,
+                balanced: totalDebit === totalCredit
+            }
+        });
+    } catch (err) {
+        console.error('Error building trial balance:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/ledger/accounts/:code/statement
+// @desc    Get an account's entries within ?from=&to=, with the opening and
+//          running balance; ?loan= limits it to one loan's lines
+router.get('/accounts/:code/statement', [auth, requirePermission('ledger.view')], async (req, res) => {
+    try {
+        const account = await LedgerAccount.findOne({ code: req.params.code });
+        if (!account) {
+            return res.status(404).json({ message: 'Account not found' });
+        }
+        const range = parseDateRange(req.query);
+        if (!range) {
+            return res.status(400).json({ message: 'Invalid date range' });
+        }
+        if (req.query.loan && !mongoose.isValidObjectId(req.query.loan)) {
+            return res.status(400).json({ message: 'Invalid loan' });
+        }
+
+        const lineMatch = { 'lines.account': account.code };
+        if (req.query.loan) {
+            lineMatch['lines.loan'] = new mongoose.Types.ObjectId(req.query.loan);
+        }
+
+        let opening = 0;
+        if (range.$gte) {
+            const totals = await JournalEntry.aggregate([
+                { $match: { date: { $lt: range.$gte } } },
+                { $unwind: '$lines' },
+                { $match: lineMatch },
+                { $group: { _id: null, debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } }
+            ]);
+            if (totals.length > 0) {
+                opening = normalBalance(account, totals[0].debit, totals[0].credit);
+            }
+        }
+
+        const entries = await JournalEntry.aggregate([
+            { $match: Object.keys(range).length > 0 ? { date: range } : {} },
+            { $sort: { date: 1, entryNumber: 1 } },
+            { $unwind: '$lines' },
+            { $match: lineMatch }
+        ]);
+
+        let balance = opening;
+        const lines = entries.map(entry => {
+            balance = round2(balance + normalBalance(account, entry.lines.debit, entry.lines.credit));
+            return {
+                entryNumber: entry.entryNumber,
+                date: entry.date,
+                type: entry.type,
+                narration: entry.narration,
+                loanId: entry.loanId,
+                debit: entry.lines.debit,
+                credit: entry.lines.credit,
+                balance
+            };
+        });
+
+        res.json({
+            success: true,
+            data: {
+                account,
+                from: range.$gte,
+                to: range.$lte,
+                openingBalance: opening,
+                lines,
+                closingBalance: balance
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching account statement:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/ledger/day-book
+// @desc    Get the journal entries posted within ?from=&to= (default today)
+router.get('/day-book', [auth, requirePermission('ledger.view')], async (req, res) => {
+    try {
+        const today = new Date().toISOString().slice(0, 10);
+        const range = parseDateRange({
+            from: req.query.from || today,
+            to: req.query.to || req.query.from || today
+        });
+        if (!range) {
+            return res.status(400).json({ message: 'Invalid date range' });
+        }
+
+        const entries = await JournalEntry.find({ date: range })
+            .sort({ date: 1, entryNumber: 1 })
+            .populate('postedBy', 'name email');
+        const total = field => round2(entries.reduce((sum, entry) => {
+            return sum + entry.lines.reduce((lineSum, line) => lineSum + line[field], 0);
+        }, 0));
+
+        res.json({
+            success: true,
+            data: {
+                from: range.$gte,
+                to: range.$lte,
+                entries,
+                totalDebit: total('debit'),
+                totalCredit: total('credit')
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching day book:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -1,23 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const Loan = require('../models/Loan');
+const User = require('../models/User');
+const Scheme = require('../models/Scheme');
 const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const idempotency = require('../middleware/idempotency');
+const openTill = require('../middleware/openTill');
+const loanAccess = require('../middleware/loanAccess');
+const customerAccount = require('../middleware/customerAccount');
 const sib = require('sib-api-v3-sdk');
 const defaultClient = sib.ApiClient.instance;
 const apiKey = defaultClient.authentications['api-key'];
 apiKey.apiKey = process.env.BREVO_API_KEY;
-const { generatePaymentReceiptPDF } = require('../utils/pdfGenerator');
+const { generatePaymentReceiptPDF, generateReleaseSlipPDF } = require('../utils/pdfGenerator');
+const { REPAYMENT_TYPES, round2, calculateLoanQuote } = require('../utils/loanCalculator');
+const { assessLoanToValue } = require('../utils/goldValuation');
+const { generateLoanId } = require('../utils/loanIdGenerator');
+const { installmentDue } = require('../utils/paymentAllocation');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { CUSTOMER_FIELDS } = require('../utils/loanOrigination');
 const nodemailer = require('nodemailer');
 const path = require('path');
 
 // @route   POST /api/loans
-// @desc    Create a new loan application
-router.post('/', [auth, [
+// @desc    Apply for a loan as a customer whose login is linked to their customer
+//          record. The application waits for staff to take the gold and approve it.
+router.post('/', [auth, requirePermission('loan.apply'), customerAccount, idempotency, [
     body('amount').isNumeric().withMessage('Amount must be a number'),
-    body('purpose').notEmpty().withMessage('Purpose is required'),
     body('term').isNumeric().withMessage('Term must be a number'),
-    body('interestRate').isNumeric().withMessage('Interest rate must be a number')
+    // The scheme supplies the interest rate and repayment type
+    body('schemeId').notEmpty().withMessage('A loan scheme is required')
 ]], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -25,26 +40,50 @@ router.post('/', [auth, [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { amount, purpose, term, interestRate } = req.body;
+        const { amount, term, schemeId } = req.body;
+
+        const scheme = await Scheme.findActive(schemeId);
+        if (!scheme) {
+            return res.status(400).json({
+                errors: [{ msg: 'Loan scheme not found or inactive' }]
+            });
+        }
+        const schemeErrors = scheme.validateLoan({ amount: Number(amount), term: Number(term) });
+        if (schemeErrors.length > 0) {
+            return res.status(400).json({
+                errors: schemeErrors.map(msg => ({ msg }))
+            });
+        }
 
         // Generate custom loanId
-        const now = new Date();
-        const year = now.getFullYear() % 1000; // last 3 digits
-        const month = (now.getMonth() + 1).toString().padStart(2, '0');
-        // Count loans for this month
-        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-        const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
-        const loanCount = await Loan.countDocuments({ createdAt: { $gte: monthStart, $lte: monthEnd } }) + 1;
-        const loanId = `CY${year}${month}${loanCount.toString().padStart(2, '0')}`;
+        const loanId = await generateLoanId();
 
+        // The customer's details come from their record, as for loans made by staff
+        const customerCopy = {};
+        for (const field of CUSTOMER_FIELDS) {
+            customerCopy[field] = req.customer[field];
+        }
         const loan = await Loan.create({
-            user: req.user.id,
+            ...customerCopy,
+            customerId: req.customer._id,
+            branch: req.customer.branch,
             amount,
-            purpose,
             term,
-            interestRate,
+            scheme: scheme._id,
+            penaltyRule: scheme.penalty,
+            interestRate: scheme.rateForAmount(Number(amount)),
+            repaymentType: scheme.repaymentType,
+            status: 'pending_approval',
+            createdBy: req.user._id,
             loanId
         });
+        await recordAudit(req, {
+            action: 'loan.apply',
+            entityType: 'Loan',
+            entityId: loan._id,
+            entityRef: loan.loanId,
+            after: loan
+        });
 
         res.status(201).json({
             success: true,
@@ -52,15 +91,57 @@ router.post('/', [auth, [
         });
     } catch (err) {
         console.error(err);
+        if (err.name === 'ValidationError') {
+            const validationErrors = Object.values(err.errors).map(error => ({
+                msg: error.message
+            }));
+            return res.status(400).json({ errors: validationErrors });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/loans/quote
+// @desc    Quote EMI, total payable and the installment schedule for a prospective loan
+router.post('/quote', [auth, requirePermission('loan.quote'), [
+    body('amount').isFloat({ min: 100 }).withMessage('Amount must be a number of at least 100'),
+    body('term').isInt({ min: 1 }).withMessage('Term must be a whole number of months, at least 1'),
+    body('interestRate').isFloat({ min: 0 }).withMessage('Interest rate must be a non-negative number'),
+    body('repaymentType').optional().isIn(REPAYMENT_TYPES).withMessage(`Repayment type must be one of: ${REPAYMENT_TYPES.join(', ')}`),
+    body('goldItems').optional().isArray().withMessage('Gold items must be an array')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { amount, term, interestRate, repaymentType, goldItems } = req.body;
+        const quote = calculateLoanQuote({ amount, term, interestRate, repaymentType });
+
+        // Include the LTV check when the gold to be pledged is known
+        if (goldItems && goldItems.length > 0) {
+            const { valuation } = await assessLoanToValue(goldItems, quote.amount);
+            quote.valuation = valuation;
+        }
+
+        res.json({
+            success: true,
+            data: quote
+        });
+    } catch (err) {
+        console.error('Error computing loan quote:', err);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
 // @route   GET /api/loans
-// @desc    Get all loans for a user
-router.get('/', auth, async (req, res) => {
+// @desc    Get the loans the caller may see: every loan for roles with branch.all,
+//          else their branch's loans and, once their login is linked to their
+//          customer record, their own
+router.get('/', [auth, requirePermission('loan.view')], async (req, res) => {
     try {
-        const loans = await Loan.find({ user: req.user.id });
+        const loans = await Loan.find(await Loan.accessFilter(req.user));
 
         res.json({
             success: true,
@@ -74,22 +155,11 @@ router.get('/', auth, async (req, res) => {
 
 // @route   GET /api/loans/:id
 // @desc    Get loan by ID
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', [auth, requirePermission('loan.view'), loanAccess()], async (req, res) => {
     try {
-        const loan = await Loan.findById(req.params.id);
-
-        if (!loan) {
-            return res.status(404).json({ message: 'Loan not found' });
-        }
-
-        // Make sure user owns loan
-        if (loan.user.toString() !== req.user.id) {
-            return res.status(401).json({ message: 'Not authorized' });
-        }
-
         res.json({
             success: true,
-            data: loan
+            data: req.loan
         });
     } catch (err) {
         console.error(err);
@@ -99,17 +169,9 @@ router.get('/:id', auth, async (req, res) => {
 
 // @route   GET /api/loans/:id/payments
 // @desc    Get payment history for a loan
-router.get('/:id/payments', auth, async (req, res) => {
+router.get('/:id/payments', [auth, requirePermission('loan.view'), loanAccess()], async (req, res) => {
     try {
-        const loan = await Loan.findById(req.params.id);
-        if (!loan) {
-            return res.status(404).json({ message: 'Loan not found' });
-        }
-        // Optionally, check if the user is authorized to view this loan's payments
-        // if (loan.user.toString() !== req.user.id) {
-        //     return res.status(401).json({ message: 'Not authorized' });
-        // }
-        res.json({ success: true, data: loan.payments || [] });
+        res.json({ success: true, data: req.loan.payments || [] });
     } catch (err) {
         console.error(err);
         res.status(500).json({ message: 'Server error' });
@@ -137,31 +199,61 @@ async function sendRepaymentEmail({ to, name, amountPaid, totalPaid, totalLoan,
 }
 
 // @route   POST /api/loans/:id/payment
-// @desc    Make a payment for a specific loan with receipt and email notification
-router.post('/:id/payment', [auth, [
-    body('amount').isNumeric().withMessage('Amount must be a number'),
+// @desc    Record a payment for a specific loan with receipt and email notification
+//          (staff only; customers pay at the branch)
+router.post('/:id/payment', [auth, requirePermission('payment.create'), loanAccess(), idempotency, openTill, [
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
     body('paymentMethod').isIn(['handcash', 'online']).withMessage('Invalid payment method'),
     body('transactionId').if(body('paymentMethod').equals('online')).notEmpty().withMessage('Transaction ID is required for online payments')
 ]], async (req, res) => {
     try {
+        // A customer's login cannot record money as received, whatever its role grants
+        if (req.user.customer) {
+            return res.status(403).json({ message: 'Access denied.' });
+        }
+
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const loan = await Loan.findById(req.params.id);
-        if (!loan) {
-            return res.status(404).json({ message: 'Loan not found' });
-        }
+        const loan = req.loan;
 
         if (loan.status === 'closed') {
             return res.status(400).json({ message: 'Loan is already closed' });
         }
+        if (!loan.isOpen()) {
+            return res.status(400).json({ message: `Payments cannot be taken on a ${loan.status} loan` });
+        }
 
         const { amount, paymentMethod, transactionId } = req.body;
+        if (paymentMethod === 'online' && await Loan.isTransactionIdUsed(transactionId)) {
+            return res.status(409).json({ message: `Transaction ID ${transactionId} has already been recorded` });
+        }
 
-        // Record the payment using the new method
-        const payment = await loan.recordPayment(amount, paymentMethod, transactionId);
+        const before = snapshot(loan);
+        // Penalties up to today count towards what can be paid
+        await loan.applyOverdue();
+        if (Number(amount) > loan.remainingBalance) {
+            return res.status(400).json({
+                message: `Payment exceeds the outstanding balance of ₹${loan.remainingBalance}`
+            });
+        }
+
+        // Record the payment; it is spread over penalty, interest and principal
+        const payment = await loan.recordPayment(amount, paymentMethod, transactionId, 'installment', req.user._id);
+        await recordAudit(req, {
+            action: 'payment.create',
+            entityType: 'Loan',
+            entityId: loan._id,
+            entityRef: loan.loanId,
+            before,
+            after: loan,
+            details: { paymentId: payment._id, amount: payment.amount, method: payment.method }
+        });
+
+        // Installment amounts vary by repayment type, so quote what is left on the next one
+        const nextInstallment = loan.installments.find(i => installmentDue(i) > 0);
 
         // Generate PDF receipt
         let pdfBuffer;
@@ -177,7 +269,7 @@ router.post('/:id/payment', [auth, [
                 loanId: loan.loanId,
                 installmentDetails: {
                     number: payment.installmentNumber,
-                    totalInstallments: loan.term,
+                    totalInstallments: loan.installments.length,
                     status: loan.installments[payment.installmentNumber - 1].status
                 },
                 logoPath
@@ -203,9 +295,12 @@ router.post('/:id/payment', [auth, [
                 <p>We have received your payment of <b>₹${amount}</b> for Loan ID: ${loan.loanId}</p>
                 <p><b>Payment Details:</b></p>
                 <ul>
-                    <li>Installment Number: ${payment.installmentNumber} of ${loan.term}</li>
+                    <li>Installment Number: ${payment.installmentNumber} of ${loan.installments.length}</li>
                     <li>Payment Method: ${paymentMethod}</li>
                     ${transactionId ? `<li>Transaction ID: ${transactionId}</li>` : ''}
+                    ${payment.breakdown.penalty > 0 ? `<li>Towards Penalty: ₹${payment.breakdown.penalty}</li>` : ''}
+                    <li>Towards Interest: ₹${payment.breakdown.interest}</li>
+                    <li>Towards Principal: ₹${payment.breakdown.principal}</li>
                 </ul>
                 <p><b>Loan Status:</b></p>
                 <ul>
@@ -216,8 +311,8 @@ router.post('/:id/payment', [auth, [
                 <p><b>Next Payment Details:</b></p>
                 <ul>
                     ${loan.status !== 'closed' ? `
-                        <li>Next Installment Due: ${loan.installments.find(i => i.status !== 'paid')?.dueDate.toLocaleDateString()}</li>
-                        <li>Amount Due: ₹${loan.monthlyPayment}</li>
+                        <li>Next Installment Due: ${nextInstallment?.dueDate.toLocaleDateString()}</li>
+                        <li>Amount Due: ₹${nextInstallment ? installmentDue(nextInstallment) : 0}</li>
                     ` : '<li>Loan has been fully paid</li>'}
                 </ul>
                 <p>Thank you for your payment.</p>
@@ -256,12 +351,17 @@ router.post('/:id/payment', [auth, [
                         dueDate: inst.dueDate,
                         amount: inst.amount,
                         status: inst.status,
-                        amountPaid: inst.amountPaid
+                        amountPaid: inst.amountPaid,
+                        interestPaid: inst.interestPaid,
+                        principalPaid: inst.principalPaid,
+                        daysPastDue: inst.daysPastDue,
+                        penalty: inst.penalty,
+                        penaltyPaid: inst.penaltyPaid
                     }))
                 },
-                nextPayment: loan.status !== 'closed' ? {
-                    dueDate: loan.installments.find(i => i.status !== 'paid')?.dueDate,
-                    amount: loan.monthlyPayment
+                nextPayment: loan.status !== 'closed' && nextInstallment ? {
+                    dueDate: nextInstallment.dueDate,
+                    amount: installmentDue(nextInstallment)
                 } : null
             }
         });
@@ -271,11 +371,382 @@ router.post('/:id/payment', [auth, [
     }
 });
 
+// @route   POST /api/loans/:id/payments/:paymentId/reverse
+// @desc    Reverse a recorded payment (bounced transfer, wrong entry). The
+//          payment is kept as reversed and the loan's dues are recomputed.
+router.post('/:id/payments/:paymentId/reverse', [auth, requirePermission('payment.reverse'), loanAccess(), openTill, [
+    body('reason').trim().notEmpty().withMessage('A reason for the reversal is required')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const loan = req.loan;
+        const payment = loan.payments.id(req.params.paymentId);
+        if (!payment) {
+            return res.status(404).json({ message: 'Payment not found' });
+        }
+        if (payment.status === 'reversed') {
+            return res.status(400).json({ message: 'Payment has already been reversed' });
+        }
+        if (payment.purpose !== 'installment') {
+            return res.status(400).json({ message: `A ${payment.purpose} payment cannot be reversed` });
+        }
+        if (!loan.isOpen() && loan.closureReason !== 'repaid') {
+            return res.status(400).json({ message: `Payments cannot be reversed on a ${loan.closureReason || loan.status} loan` });
+        }
+
+        const before = snapshot(loan);
+        const wasClosed = loan.status === 'closed';
+        await loan.reversePayment(payment._id, {
+            reason: req.body.reason,
+            reversedBy: req.user._id
+        });
+        await recordAudit(req, {
+            action: 'payment.reverse',
+            entityType: 'Loan',
+            entityId: loan._id,
+            entityRef: loan.loanId,
+            before,
+            after: loan,
+            details: { paymentId: payment._id, reason: req.body.reason }
+        });
+
+        res.json({
+            success: true,
+            message: wasClosed && loan.status === 'active'
+                ? 'Payment reversed and loan reopened'
+                : 'Payment reversed successfully',
+            data: {
+                payment,
+                loanStatus: {
+                    loanId: loan.loanId,
+                    status: loan.status,
+                    totalPaid: loan.totalPaid,
+                    remainingBalance: loan.remainingBalance,
+                    installments: loan.installments.map(inst => ({
+                        number: inst.number,
+                        dueDate: inst.dueDate,
+                        amount: inst.amount,
+                        status: inst.status,
+                        amountPaid: inst.amountPaid,
+                        penalty: inst.penalty,
+                        penaltyPaid: inst.penaltyPaid
+                    }))
+                }
+            }
+        });
+    } catch (err) {
+        console.error('Error reversing payment:', err);
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// @route   POST /api/loans/:id/release
+// @desc    Release some of the pledged gold items against a payment, if the gold
+//          still pledged covers what remains owed
+router.post('/:id/release', [auth, requirePermission('loan.release'), loanAccess(), idempotency, openTill, [
+    body('itemIds').isArray({ min: 1 }).withMessage('Select at least one gold item to release'),
+    body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a non-negative number'),
+    body('paymentMethod').if(body('amount').exists()).isIn(['handcash', 'online']).withMessage('Invalid payment method'),
+    body('transactionId').if(body('paymentMethod').equals('online')).notEmpty().withMessage('Transaction ID is required for online payments')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const loan = req.loan;
+        if (loan.status !== 'active') {
+            return res.status(400).json({ message: 'Items can only be released from an active loan' });
+        }
+
+        const itemIds = [...new Set(req.body.itemIds.map(String))];
+        const pledged = loan.pledgedItems();
+        const itemsToRelease = pledged.filter(item => itemIds.includes(item._id.toString()));
+        const remainingItems = pledged.filter(item => !itemIds.includes(item._id.toString()));
+
+        if (itemsToRelease.length !== itemIds.length) {
+            return res.status(400).json({ message: 'Some items are not pledged on this loan or were already released' });
+        }
+        if (remainingItems.length === 0) {
+            return res.status(400).json({ message: 'At least one item must stay pledged. Close the loan to release all items.' });
+        }
+
+        const amount = Number(req.body.amount) || 0;
+        const { paymentMethod, transactionId } = req.body;
+        if (amount > 0 && paymentMethod === 'online' && await Loan.isTransactionIdUsed(transactionId)) {
+            return res.status(409).json({ message: `Transaction ID ${transactionId} has already been recorded` });
+        }
+
+        const before = snapshot(loan);
+        // What will still be owed must be covered by the gold left behind,
+        // at today's rate and the LTV ratio the loan was granted under
+        await loan.applyOverdue();
+        const outstanding = loan.getOutstanding();
+        if (amount > outstanding.total) {
+            return res.status(400).json({ message: `Amount exceeds the outstanding balance of ₹${outstanding.total}` });
+        }
+        const balanceAfter = round2(outstanding.total - amount);
+        const { valuation } = await assessLoanToValue(remainingItems, balanceAfter, {
+            ltvRatio: loan.valuation ? loan.valuation.ltvRatio : undefined
+        });
+        if (valuation.ltvExceeded) {
+            return res.status(400).json({
+                message: `The remaining gold only covers ₹${valuation.eligibleAmount}. Pay at least ₹${round2(outstanding.total - valuation.eligibleAmount)} to release these items.`,
+                outstanding,
+                valuation
+            });
+        }
+
+        // The payment and the release are saved together, so neither is kept without the other
+        if (amount > 0) {
+            await loan.applyPayment(amount, paymentMethod, transactionId, 'release', req.user._id);
+        }
+
+        const releasedAt = new Date();
+        for (const item of itemsToRelease) {
+            item.released = true;
+            item.releasedAt = releasedAt;
+            item.releasedBy = req.user._id;
+        }
+        loan.releases.push({
+            slipNumber: `${loan.loanId}-R${loan.releases.length + 1}`,
+            items: itemsToRelease.map(item => ({
+                itemId: item._id,
+                description: item.description,
+                netWeight: item.netWeight,
+                fineWeight: item.fineWeight
+            })),
+            amountPaid: amount,
+            paymentMethod: amount > 0 ? paymentMethod : undefined,
+            transactionId: amount > 0 ? transactionId : undefined,
+            remainingBalance: loan.remainingBalance,
+            remainingValuation: valuation,
+            releasedBy: req.user._id,
+            releasedAt
+        });
+        await loan.save();
+
+        const release = loan.releases[loan.releases.length - 1];
+        await recordAudit(req, {
+            action: 'loan.release',
+            entityType: 'Loan',
+            entityId: loan._id,
+            entityRef: loan.loanId,
+            before,
+            after: loan,
+            details: { slipNumber: release.slipNumber }
+        });
+        res.status(201).json({
+            success: true,
+            message: 'Items released successfully',
+            data: {
+                release,
+                slipUrl: `/api/loans/${loan._id}/releases/${release._id}/slip`,
+                remainingBalance: loan.remainingBalance,
+                pledgedItems: loan.pledgedItems()
+            }
+        });
+    } catch (err) {
+        console.error('Error releasing gold items:', err);
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// @route   GET /api/loans/:id/releases/:releaseId/slip
+// @desc    Download the release slip PDF for a partial release
+router.get('/:id/releases/:releaseId/slip', [auth, requirePermission('loan.release'), loanAccess()], async (req, res) => {
+    try {
+        const loan = req.loan;
+        const release = loan.releases.id(req.params.releaseId);
+        if (!release) {
+            return res.status(404).json({ message: 'Release not found' });
+        }
+
+        const releasedBy = await User.findById(release.releasedBy);
+        const pdfBuffer = await generateReleaseSlipPDF({
+            customerName: loan.name,
+            loanId: loan.loanId,
+            slipNumber: release.slipNumber,
+            releaseDate: release.releasedAt.toLocaleDateString(),
+            items: release.items,
+            amountPaid: release.amountPaid,
+            remainingBalance: release.remainingBalance,
+            remainingGold: release.remainingValuation
+                ? `${release.remainingValuation.totalFineWeight}g fine gold`
+                : '-',
+            releasedBy: releasedBy ? releasedBy.name : '-',
+            logoPath: path.join(__dirname, '../pages/cyanlogo.png')
+        });
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="ReleaseSlip_${release.slipNumber}.pdf"`
+        });
+        res.send(pdfBuffer);
+    } catch (err) {
+        console.error('Error generating release slip:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Parse an optional ?date= / date field; today when absent, null when invalid
+function parseAsOfDate(value) {
+    if (value === undefined || value === '') {
+        return new Date();
+    }
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+// @route   GET /api/loans/:id/foreclosure-quote
+// @desc    Get the amount needed to close a loan early, as of ?date= (default today)
+router.get('/:id/foreclosure-quote', [auth, requirePermission('loan.foreclose'), loanAccess()], async (req, res) => {
+    try {
+        const asOf = parseAsOfDate(req.query.date);
+        if (!asOf) {
+            return res.status(400).json({ message: 'Invalid date' });
+        }
+
+        const loan = req.loan;
+        if (!loan.isOpen()) {
+            return res.status(400).json({ message: 'Only active or defaulted loans can be foreclosed' });
+        }
+        if (asOf < (loan.disbursedAt || loan.createdAt)) {
+            return res.status(400).json({ message: 'Date cannot be before the loan was created' });
+        }
+
+        // Penalties as they will stand on that date; nothing is saved
+        await loan.applyOverdue(asOf);
+
+        res.json({
+            success: true,
+            data: {
+                loanId: loan.loanId,
+                remainingBalance: loan.remainingBalance,
+                ...loan.foreclosureQuote(asOf)
+            }
+        });
+    } catch (err) {
+        console.error('Error computing foreclosure quote:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/loans/:id/foreclose
+// @desc    Record a foreclosure settlement and close the loan. Admins may set
+//          waive to accept less than the payoff and write off the rest.
+router.post('/:id/foreclose', [auth, requirePermission('loan.foreclose'), loanAccess(), idempotency, openTill, [
+    body('paymentMethod').isIn(['handcash', 'online']).withMessage('Invalid payment method'),
+    body('transactionId').if(body('paymentMethod').equals('online')).notEmpty().withMessage('Transaction ID is required for online payments'),
+    body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a non-negative number'),
+    body('waive').optional().isBoolean().withMessage('Waive must be true or false')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const asOf = parseAsOfDate(req.body.date);
+        if (!asOf || asOf > new Date()) {
+            return res.status(400).json({ message: 'Settlement date must be a valid date, not in the future' });
+        }
+
+        const waive = req.body.waive === true || req.body.waive === 'true';
+        if (waive && !req.permissions.includes('loan.waive')) {
+            return res.status(403).json({ message: 'Access denied. Requires permission: loan.waive' });
+        }
+
+        const loan = req.loan;
+        if (!loan.isOpen()) {
+            return res.status(400).json({ message: 'Only active or defaulted loans can be foreclosed' });
+        }
+        if (asOf < (loan.disbursedAt || loan.createdAt)) {
+            return res.status(400).json({ message: 'Date cannot be before the loan was created' });
+        }
+
+        const { amount, paymentMethod, transactionId } = req.body;
+        if (paymentMethod === 'online' && await Loan.isTransactionIdUsed(transactionId)) {
+            return res.status(409).json({ message: `Transaction ID ${transactionId} has already been recorded` });
+        }
+
+        const before = snapshot(loan);
+        await loan.applyOverdue(asOf);
+        const quote = loan.foreclosureQuote(asOf);
+        if (!waive && amount !== undefined && Number(amount) < quote.payoffAmount) {
+            return res.status(400).json({
+                message: `Settlement amount must be at least the payoff amount of ₹${quote.payoffAmount}`,
+                quote
+            });
+        }
+        if (amount !== undefined && round2(Number(amount)) > quote.payoffAmount) {
+            return res.status(400).json({
+                message: `Settlement amount cannot exceed the payoff amount of ₹${quote.payoffAmount}`,
+                quote
+            });
+        }
+
+        const result = await loan.foreclose({
+            amount,
+            paymentMethod,
+            transactionId,
+            asOf,
+            waive,
+            settledBy: req.user._id
+        });
+        await recordAudit(req, {
+            action: 'loan.foreclose',
+            entityType: 'Loan',
+            entityId: loan._id,
+            entityRef: loan.loanId,
+            before,
+            after: loan,
+            details: { waive }
+        });
+
+        try {
+            await sendRepaymentEmail({
+                to: loan.email,
+                name: loan.name,
+                amountPaid: result.foreclosure.amountPaid,
+                totalPaid: loan.totalPaid,
+                totalLoan: loan.amount,
+                toBePaid: 0
+            });
+        } catch (emailErr) {
+            console.error('Failed to send foreclosure email:', emailErr);
+        }
+
+        res.json({
+            success: true,
+            message: 'Loan foreclosed and closed successfully',
+            data: {
+                loanId: loan.loanId,
+                status: loan.status,
+                foreclosure: result.foreclosure,
+                payment: result.payment,
+                quote: result.quote
+            }
+        });
+    } catch (err) {
+        console.error('Error foreclosing loan:', err);
+        res.status(500).json({ message: err.message });
+    }
+});
+
 // @route   GET /api/loans/customer/:customerId
-// @desc    Get all loans for a specific customer
-router.get('/customer/:customerId', auth, async (req, res) => {
+// @desc    Get all loans for a specific customer that the caller may see
+router.get('/customer/:customerId', [auth, requirePermission('loan.view')], async (req, res) => {
     try {
-        const loans = await Loan.find({ customerId: req.params.customerId });
+        if (!mongoose.isValidObjectId(req.params.customerId)) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+        const loans = await Loan.find({ customerId: req.params.customerId, ...await Loan.accessFilter(req.user) });
         res.json({ success: true, data: loans });
     } catch (err) {
         console.error('Error fetching loans for customer:', err);
@@ -0,0 +1,397 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const Customer = require('../models/Customer');
+const User = require('../models/User');
+const Otp = require('../models/Otp');
+const KycDocument = require('../models/KycDocument');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const customerAccount = require('../middleware/customerAccount');
+const documentUpload = require('../middleware/documentUpload');
+const { sendBrevoEmail } = require('../utils/brevo');
+const { generatePaymentReceiptPDF } = require('../utils/pdfGenerator');
+const { installmentParts, installmentDue } = require('../utils/paymentAllocation');
+const { round2 } = require('../utils/loanCalculator');
+const { recordAudit } = require('../utils/audit');
+const { saveUploadedDocument, downloadLink, documentView } = require('../utils/kycDocuments');
+
+const LINK_OTP_TTL_MS = 10 * 60 * 1000;
+const LINK_OTP_MAX_ATTEMPTS = 5;
+
+// A loan as its customer sees it, without staff-only details
+function loanSummary(loan) {
+    const nextInstallment = loan.isOpen()
+        ? loan.installments.find(inst => installmentDue(inst) > 0)
+        : null;
+    return {
+        _id: loan._id,
+        loanId: loan.loanId,
+        status: loan.status,
+        amount: loan.amount,
+        term: loan.term,
+        interestRate: loan.interestRate,
+        repaymentType: loan.repaymentType,
+        monthlyPayment: loan.monthlyPayment,
+        totalPayment: loan.totalPayment,
+        totalPenalty: loan.totalPenalty,
+        totalPaid: loan.totalPaid,
+        remainingBalance: loan.remainingBalance,
+        disbursedAt: loan.disbursedAt || (loan.status === 'pending_approval' ? null : loan.createdAt),
+        closedDate: loan.closedDate,
+        nextDue: nextInstallment ? {
+            number: nextInstallment.number,
+            dueDate: nextInstallment.dueDate,
+            amount: installmentDue(nextInstallment)
+        } : null
+    };
+}
+
+function installmentView(inst) {
+    const parts = installmentParts(inst);
+    return {
+        number: inst.number,
+        dueDate: inst.dueDate,
+        status: inst.status,
+        principal: parts.principal,
+        interest: parts.interest,
+        penalty: parts.penalty,
+        amountPaid: round2(parts.principalPaid + parts.interestPaid + parts.penaltyPaid),
+        due: installmentDue(inst)
+    };
+}
+
+function paymentView(payment) {
+    return {
+        _id: payment._id,
+        date: payment.date,
+        amount: payment.amount,
+        method: payment.method,
+        transactionId: payment.transactionId,
+        purpose: payment.purpose,
+        installmentNumber: payment.installmentNumber,
+        breakdown: payment.breakdown,
+        status: payment.status
+    };
+}
+
+// Find one of the caller's own loans, or send 404. Another customer's loan
+// is reported as not found, the same as a loan that does not exist.
+async function findOwnLoan(req, res) {
+    const loan = mongoose.isValidObjectId(req.params.id)
+        ? await Loan.findOne({ _id: req.params.id, ...Loan.customerFilter(req.customer) })
+        : null;
+    if (!loan) {
+        res.status(404).json({ message: 'Loan not found' });
+    }
+    return loan;
+}
+
+// @route   POST /api/portal/link/request
+// @desc    Start linking the caller's login to their customer record, found by
+//          aadharNumber, mobile or email. A code is emailed to the address on the
+//          customer record, so only its owner can finish linking. No new code is
+//          sent while the last one is unexpired, so its wrong guesses still count.
+router.post('/link/request', [auth, requirePermission('portal.use'), [
+    body('aadharNumber').optional().matches(/^\d{12}$/).withMessage('Aadhar number must be exactly 12 digits'),
+    body('mobile').optional().trim().notEmpty().withMessage('Mobile number cannot be empty'),
+    body('email').optional().isEmail().withMessage('Please include a valid email')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        if (req.user.customer) {
+            return res.status(400).json({ message: 'Your login is already linked to a customer record' });
+        }
+
+        const { aadharNumber, mobile, email } = req.body;
+        let filter;
+        if (aadharNumber) filter = { aadharNumber };
+        else if (mobile) filter = { primaryMobile: mobile };
+        else if (email) filter = { email };
+        else {
+            return res.status(400).json({ message: 'Give your Aadhar number, mobile number or email' });
+        }
+
+        // The same answer whether or not a record matches, so the endpoint
+        // cannot be used to find out who is a customer
+        const message = 'If a customer record matches, a code has been sent to the email address on it';
+
+        const customer = await Customer.findOne(filter);
+        if (!customer || await User.exists({ customer: customer._id })) {
+            return res.json({ success: true, message });
+        }
+
+        if (await Otp.exists({ user: req.user._id, purpose: 'customer_link', expiresAt: { $gt: new Date() } })) {
+            return res.json({ success: true, message });
+        }
+
+        const otp = crypto.randomInt(100000, 1000000).toString();
+        await Otp.deleteMany({ user: req.user._id, purpose: 'customer_link' });
+        await Otp.create({
+            email: customer.email,
+            otp,
+            expiresAt: new Date(Date.now() + LINK_OTP_TTL_MS),
+            purpose: 'customer_link',
+            user: req.user._id,
+            customer: customer._id
+        });
+
+        await sendBrevoEmail({
+            to: customer.email,
+            subject: 'Your code to link your Cyan Finance account',
+            html: `
+                <p>Dear ${customer.name},</p>
+                <p>Your code to see your loans online is: <b>${otp}</b></p>
+                <p>It expires in 10 minutes. If you did not ask for it, you can ignore this email.</p>
+                <p>Best regards,<br/>Cyan Finance Team</p>
+            `
+        });
+
+        res.json({ success: true, message });
+    } catch (err) {
+        console.error('Error requesting customer link:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/portal/link/verify
+// @desc    Finish linking the caller's login to their customer record with the emailed code
+router.post('/link/verify', [auth, requirePermission('portal.use'), [
+    body('otp').trim().notEmpty().withMessage('Code is required')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        if (req.user.customer) {
+            return res.status(400).json({ message: 'Your login is already linked to a customer record' });
+        }
+
+        const otpRecord = await Otp.findOne({ user: req.user._id, purpose: 'customer_link' });
+        if (!otpRecord || otpRecord.expiresAt < new Date() || otpRecord.attempts >= LINK_OTP_MAX_ATTEMPTS) {
+            return res.status(400).json({ message: 'Invalid or expired code. Ask for a new one.' });
+        }
+        if (otpRecord.otp !== req.body.otp) {
+            otpRecord.attempts += 1;
+            await otpRecord.save();
+            return res.status(400).json({ message: 'Invalid or expired code. Ask for a new one.' });
+        }
+        await Otp.deleteMany({ user: req.user._id, purpose: 'customer_link' });
+
+        // Another login may have claimed the record since the code was sent
+        if (await User.exists({ customer: otpRecord.customer })) {
+            return res.status(409).json({ message: 'This customer record is already linked to another login' });
+        }
+
+        const before = { customer: req.user.customer };
+        req.user.customer = otpRecord.customer;
+        await req.user.save();
+        await recordAudit(req, {
+            action: 'portal.link',
+            entityType: 'User',
+            entityId: req.user._id,
+            entityRef: req.user.email,
+            before,
+            after: { customer: req.user.customer }
+        });
+
+        const customer = await Customer.findById(otpRecord.customer);
+        res.json({
+            success: true,
+            message: 'Your login is now linked to your customer record',
+            data: { name: customer.name, aadharNumber: customer.aadharNumber }
+        });
+    } catch (err) {
+        console.error('Error verifying customer link:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/portal/me
+// @desc    Get the caller's customer record
+router.get('/me', [auth, requirePermission('portal.use'), customerAccount], async (req, res) => {
+    const { aadharNumber, name, email, primaryMobile, secondaryMobile, presentAddress, permanentAddress, emergencyContact } = req.customer;
+    res.json({
+        success: true,
+        data: { aadharNumber, name, email, primaryMobile, secondaryMobile, presentAddress, permanentAddress, emergencyContact }
+    });
+});
+
+// @route   GET /api/portal/loans
+// @desc    Get the caller's loans, newest first, with what is due next on each
+router.get('/loans', [auth, requirePermission('portal.use'), customerAccount], async (req, res) => {
+    try {
+        const loans = await Loan.find(Loan.customerFilter(req.customer)).sort({ createdAt: -1 });
+        res.json({ success: true, data: loans.map(loanSummary) });
+    } catch (err) {
+        console.error('Error fetching customer loans:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/portal/loans/:id
+// @desc    Get one of the caller's loans with its pledged gold
+router.get('/loans/:id', [auth, requirePermission('portal.use'), customerAccount], async (req, res) => {
+    try {
+        const loan = await findOwnLoan(req, res);
+        if (!loan) return;
+
+        res.json({
+            success: true,
+            data: {
+                ...loanSummary(loan),
+                goldItems: loan.goldItems.map(item => ({
+                    description: item.description,
+                    grossWeight: item.grossWeight,
+                    netWeight: item.netWeight,
+                    fineWeight: item.fineWeight,
+                    released: item.released,
+                    releasedAt: item.releasedAt
+                }))
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching customer loan:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/portal/loans/:id/schedule
+// @desc    Get the installment schedule of one of the caller's loans
+router.get('/loans/:id/schedule', [auth, requirePermission('portal.use'), customerAccount], async (req, res) => {
+    try {
+        const loan = await findOwnLoan(req, res);
+        if (!loan) return;
+
+        res.json({ success: true, data: loan.installments.map(installmentView) });
+    } catch (err) {
+        console.error('Error fetching customer loan schedule:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/portal/loans/:id/payments
+// @desc    Get the payments made on one of the caller's loans, newest first
+router.get('/loans/:id/payments', [auth, requirePermission('portal.use'), customerAccount], async (req, res) => {
+    try {
+        const loan = await findOwnLoan(req, res);
+        if (!loan) return;
+
+        const payments = loan.payments.map(paymentView).sort((a, b) => b.date - a.date);
+        res.json({ success: true, data: payments });
+    } catch (err) {
+        console.error('Error fetching customer loan payments:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/portal/loans/:id/payments/:paymentId/receipt
+// @desc    Download the receipt PDF for a payment on one of the caller's loans
+router.get('/loans/:id/payments/:paymentId/receipt', [auth, requirePermission('portal.use'), customerAccount], async (req, res) => {
+    try {
+        const loan = await findOwnLoan(req, res);
+        if (!loan) return;
+
+        const payment = loan.payments.id(req.params.paymentId);
+        if (!payment) {
+            return res.status(404).json({ message: 'Payment not found' });
+        }
+        if (payment.status === 'reversed') {
+            return res.status(400).json({ message: 'This payment was reversed, so it has no receipt' });
+        }
+
+        // Totals as they stood just after this payment
+        const standing = loan.payments.filter(p => p.status !== 'reversed');
+        const paidSoFar = round2(standing
+            .slice(0, standing.findIndex(p => p._id.equals(payment._id)) + 1)
+            .reduce((sum, p) => sum + p.amount, 0));
+        const paidSince = round2(loan.totalPaid - paidSoFar);
+
+        const pdfBuffer = await generatePaymentReceiptPDF({
+            customerName: loan.name,
+            paymentAmount: payment.amount,
+            totalPaid: paidSoFar,
+            totalLoan: loan.amount,
+            toBePaid: round2(loan.remainingBalance + paidSince),
+            paymentDate: payment.date.toLocaleDateString(),
+            loanId: loan.loanId,
+            logoPath: path.join(__dirname, '../pages/cyanlogo.png')
+        });
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="Receipt_${loan.loanId}_${payment._id}.pdf"`
+        });
+        res.send(pdfBuffer);
+    } catch (err) {
+        console.error('Error generating payment receipt:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/portal/documents
+// @desc    Get the caller's KYC documents, the latest version of each, and
+//          whether each has been verified
+router.get('/documents', [auth, requirePermission('portal.use'), customerAccount], async (req, res) => {
+    try {
+        const documents = await KycDocument.find({ customer: req.customer._id, supersededAt: null }).sort({ type: 1 });
+        res.json({ success: true, data: documents.map(documentView) });
+    } catch (err) {
+        console.error('Error fetching customer documents:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/portal/documents
+// @desc    Upload one of the caller's KYC documents as multipart/form-data, with
+//          the file in "file" and the document type in "type"
+router.post('/documents', [
+    auth,
+    requirePermission('portal.use'),
+    customerAccount,
+    documentUpload,
+    body('type').isIn(Object.keys(KycDocument.DOCUMENT_TYPES)).withMessage(`Document type must be one of: ${Object.keys(KycDocument.DOCUMENT_TYPES).join(', ')}`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { document, status, message } = await saveUploadedDocument(req, req.customer);
+        if (!document) {
+            return res.status(status).json({ message });
+        }
+        res.status(201).json({ success: true, data: documentView(document) });
+    } catch (err) {
+        console.error('Error uploading customer document:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/portal/documents/:id/link
+// @desc    Get a short-lived signed link that downloads one of the caller's documents
+router.get('/documents/:id/link', [auth, requirePermission('portal.use'), customerAccount], async (req, res) => {
+    try {
+        const document = mongoose.isValidObjectId(req.params.id)
+            ? await KycDocument.findOne({ _id: req.params.id, customer: req.customer._id })
+            : null;
+        if (!document) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+        res.json({ success: true, data: downloadLink(document) });
+    } catch (err) {
+        console.error('Error creating document link:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
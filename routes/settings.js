@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const auth = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 const Settings = require('../models/Settings');
+const GoldRate = require('../models/GoldRate');
+const { snapshot, recordAudit } = require('../utils/audit');
 
 // @route   GET /settings/gold-rate
 // @desc    Get current gold rate
@@ -17,10 +20,42 @@ router.get('/gold-rate', async (req, res) => {
   }
 });
 
+// @route   GET /settings/gold-rate/history
+// @desc    Get the gold rate history, newest first, optionally within ?from=&to= dates
+// @access  Admin or employee
+router.get('/gold-rate/history', auth, requirePermission('goldrate.view'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const filter = {};
+
+    if (from || to) {
+      filter.effectiveFrom = {};
+      if (from) filter.effectiveFrom.$gte = new Date(from);
+      if (to) {
+        filter.effectiveFrom.$lte = new Date(to);
+        // A bare date means the whole of that day
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) filter.effectiveFrom.$lte.setUTCHours(23, 59, 59, 999);
+      }
+      if (Object.values(filter.effectiveFrom).some(date => isNaN(date))) {
+        return res.status(400).json({ message: 'Invalid date range' });
+      }
+    }
+
+    const history = await GoldRate.find(filter)
+      .sort({ effectiveFrom: -1 })
+      .populate('updatedBy', 'name email');
+
+    res.json({ success: true, data: history });
+  } catch (error) {
+    console.error('Error fetching gold rate history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /settings/update-gold-rate
 // @desc    Update gold rate
 // @access  Admin only
-router.post('/update-gold-rate', auth, adminAuth, async (req, res) => {
+router.post('/update-gold-rate', auth, requirePermission('goldrate.update'), async (req, res) => {
   try {
     const { rate } = req.body;
     
@@ -28,19 +63,42 @@ router.post('/update-gold-rate', auth, adminAuth, async (req, res) => {
       return res.status(400).json({ message: 'Invalid gold rate' });
     }
 
-    let settings = await Settings.findOne();
-    
-    if (settings) {
-      settings.goldRate = rate;
-      settings.lastUpdated = Date.now();
-      await settings.save();
-    } else {
-      settings = new Settings({
-        goldRate: rate,
-        lastUpdated: Date.now()
+    let settings;
+    let before;
+    // The rate in force and its history entry are written together, so
+    // the settings and GoldRate.latest() never disagree
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        settings = await Settings.findOne().session(session);
+        const previousRate = settings ? settings.goldRate : undefined;
+        before = snapshot(settings);
+
+        if (!settings) {
+          settings = new Settings();
+        }
+        settings.goldRate = rate;
+        settings.lastUpdated = Date.now();
+        await settings.save({ session });
+
+        // Keep the earlier rates: record this change in the history
+        await GoldRate.create([{
+          rate,
+          previousRate,
+          effectiveFrom: settings.lastUpdated,
+          updatedBy: req.user._id
+        }], { session });
       });
-      await settings.save();
+    } finally {
+      await session.endSession();
     }
+    await recordAudit(req, {
+      action: 'goldrate.update',
+      entityType: 'Settings',
+      entityId: settings._id,
+      before,
+      after: settings
+    });
 
     res.json({ message: 'Gold rate updated successfully', rate });
   } catch (error) {
@@ -49,4 +107,91 @@ router.post('/update-gold-rate', auth, adminAuth, async (req, res) => {
   }
 });
 
+// @route   GET /settings/ltv
+// @desc    Get the loan-to-value ceiling and how it is enforced
+// @access  Admin only
+router.get('/ltv', auth, requirePermission('settings.view'), async (req, res) => {
+  try {
+    const settings = await Settings.getCurrent();
+    res.json({ ltvRatio: settings.ltvRatio, ltvAction: settings.ltvAction });
+  } catch (error) {
+    console.error('Error fetching LTV settings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /settings/update-ltv
+// @desc    Update the loan-to-value ceiling and how it is enforced
+// @access  Admin only
+router.post('/update-ltv', auth, requirePermission('settings.update'), async (req, res) => {
+  try {
+    const { ltvRatio, ltvAction } = req.body;
+
+    if (ltvRatio !== undefined && (!(ltvRatio > 0) || ltvRatio > 100)) {
+      return res.status(400).json({ message: 'LTV ratio must be between 0 and 100' });
+    }
+    if (ltvAction !== undefined && !['reject', 'flag'].includes(ltvAction)) {
+      return res.status(400).json({ message: "LTV action must be 'reject' or 'flag'" });
+    }
+
+    const settings = await Settings.getCurrent();
+    const before = snapshot(settings);
+    if (ltvRatio !== undefined) settings.ltvRatio = ltvRatio;
+    if (ltvAction !== undefined) settings.ltvAction = ltvAction;
+    settings.lastUpdated = Date.now();
+    await settings.save();
+    await recordAudit(req, {
+      action: 'settings.ltv.update',
+      entityType: 'Settings',
+      entityId: settings._id,
+      before,
+      after: settings
+    });
+
+    res.json({
+      message: 'LTV settings updated successfully',
+      ltvRatio: settings.ltvRatio,
+      ltvAction: settings.ltvAction
+    });
+  } catch (error) {
+    console.error('Error updating LTV settings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /settings/update-penalty
+// @desc    Update the default penalty for overdue installments
+// @access  Admin only
+router.post('/update-penalty', auth, requirePermission('settings.update'), async (req, res) => {
+  try {
+    const fields = ['penalRate', 'lateFee', 'graceDays'];
+    for (const field of fields) {
+      const value = req.body[field];
+      if (value !== undefined && !(Number(value) >= 0)) {
+        return res.status(400).json({ message: `${field} must be a non-negative number` });
+      }
+    }
+
+    const settings = await Settings.getCurrent();
+    const before = snapshot(settings);
+    for (const field of fields) {
+      if (req.body[field] !== undefined) settings.penalty[field] = Number(req.body[field]);
+    }
+    settings.lastUpdated = Date.now();
+    await settings.save();
+    await recordAudit(req, {
+      action: 'settings.penalty.update',
+      entityType: 'Settings',
+      entityId: settings._id,
+      before,
+      after: settings
+    });
+
+    res.json({ message: 'Penalty settings updated successfully', penalty: settings.penalty });
+  } catch (error) {
+    console.error('Error updating penalty settings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -8,6 +8,14 @@ const adminRoutes = require('./routes/admin');
 const employeeRoutes = require('./routes/employee');
 const settingsRoutes = require('./routes/settings');
 const contactRoutes = require('./routes/contact');
+const auctionRoutes = require('./routes/auctions');
+const ledgerRoutes = require('./routes/ledger');
+const cashbookRoutes = require('./routes/cashbook');
+const portalRoutes = require('./routes/portal');
+const kycRoutes = require('./routes/kyc');
+const LedgerAccount = require('./models/LedgerAccount');
+const Role = require('./models/Role');
+const { startOverdueJob } = require('./utils/overdueJob');
 
 const app = express();
 
@@ -25,7 +33,14 @@ mongoose.connect(process.env.MONGODB_URI, {
     useNewUrlParser: true,
     useUnifiedTopology: true
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+    console.log('Connected to MongoDB');
+    startOverdueJob();
+    LedgerAccount.ensureChart()
+        .catch(err => console.error('Failed to set up the chart of accounts:', err));
+    Role.ensureDefaults()
+        .catch(err => console.error('Failed to set up the default roles:', err));
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -35,6 +50,11 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/employee', employeeRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/contact', contactRoutes);
+app.use('/api/auctions', auctionRoutes);
+app.use('/api/ledger', ledgerRoutes);
+app.use('/api/cashbook', cashbookRoutes);
+app.use('/api/portal', portalRoutes);
+app.use('/api/kyc', kycRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,58 @@
+const AuditLog = require('../models/AuditLog');
+
+// Fields left out of diffs: bookkeeping that changes on every save, and secrets
+const IGNORED_FIELDS = ['__v', 'updatedAt', 'password'];
+
+// A document or plain object as plain JSON data, with ids and dates as
+// strings. Take it before changing a document to diff against it after.
+function snapshot(value) {
+  if (value === null || value === undefined) return undefined;
+  const plain = typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value;
+  return JSON.parse(JSON.stringify(plain));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object';
+}
+
+// The paths that differ between two snapshots, with their old and new
+// values. Objects and arrays are compared member by member; a value added
+// or removed whole is recorded whole.
+function diff(before, after, path = '') {
+  if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+    for (const key of keys) {
+      if (IGNORED_FIELDS.includes(key)) continue;
+      changes.push(...diff(before[key], after[key], path ? `${path}.${key}` : key));
+    }
+    return changes;
+  }
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  return [{ path, before, after }];
+}
+
+// Record a change made by the caller of req. Pass the record as it was
+// (a snapshot, or nothing when it was created) and as it is (the document,
+// or nothing when it was deleted). The change has already been made, so a
+// failure to record it is logged rather than thrown.
+async function recordAudit(req, { action, entityType, entityId, entityRef, before, after, details }) {
+  try {
+    await AuditLog.create({
+      actor: req.user ? req.user._id : undefined,
+      actorRole: req.user ? req.user.role : undefined,
+      action,
+      entityType,
+      entityId,
+      entityRef,
+      changes: diff(snapshot(before) || {}, snapshot(after) || {}),
+      details,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (err) {
+    console.error(`Failed to record audit entry for ${action}:`, err);
+  }
+}
+
+module.exports = { snapshot, diff, recordAudit };
@@ -0,0 +1,128 @@
+const Loan = require('../models/Loan');
+const Auction = require('../models/Auction');
+const { round2 } = require('./loanCalculator');
+
+// Business day (YYYY-MM-DD, server time) a moment falls in
+function businessDate(date = new Date()) {
+  const pad = n => n.toString().padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Start and end of a business day
+function dayBounds(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return {
+    start: new Date(year, month - 1, date),
+    end: new Date(year, month - 1, date, 23, 59, 59, 999)
+  };
+}
+
+// Every handcash movement a staff member made on a business day, oldest
+// first: payments collected, payments they reversed that day, loans they
+// paid out that day and auction surpluses refunded, with their totals. A
+// reversal is the reverser's movement on the day it was made, so the day
+// the payment was collected stays as it was counted.
+async function tillMovements(userId, day) {
+  const { start, end } = dayBounds(day);
+
+  const [collected, reversed, disbursed, refunded] = await Promise.all([
+    Loan.aggregate([
+      { $match: { 'payments.collectedBy': userId } },
+      { $unwind: '$payments' },
+      { $match: {
+        'payments.collectedBy': userId,
+        'payments.method': 'handcash',
+        'payments.date': { $gte: start, $lte: end }
+      } },
+      { $project: { loanId: 1, payment: '$payments' } }
+    ]),
+    Loan.aggregate([
+      { $match: { 'payments.reversal.reversedBy': userId } },
+      { $unwind: '$payments' },
+      { $match: {
+        'payments.reversal.reversedBy': userId,
+        'payments.method': 'handcash',
+        'payments.status': 'reversed',
+        'payments.reversal.reversedAt': { $gte: start, $lte: end }
+      } },
+      { $project: { loanId: 1, payment: '$payments' } }
+    ]),
+    Loan.find({
+      paymentMethod: 'handcash',
+      $and: [
+        { $or: [
+          { disbursedBy: userId },
+          // Loans from before the disburser was recorded were paid out by their creator
+          { disbursedBy: { $exists: false }, createdBy: userId }
+        ] },
+        { $or: [
+          { disbursedAt: { $gte: start, $lte: end } },
+          // Loans from before the disbursement date was recorded
+          { disbursedAt: { $exists: false }, createdAt: { $gte: start, $lte: end } }
+        ] }
+      ],
+      status: { $nin: ['rejected', 'pending_approval'] }
+    }).select('loanId amount carriedPrincipal createdAt disbursedAt'),
+    Auction.find({
+      'surplusRefund.refundedBy': userId,
+      'surplusRefund.method': 'handcash',
+      'surplusRefund.refundedAt': { $gte: start, $lte: end }
+    }).select('loanId surplus surplusRefund')
+  ]);
+
+  const entries = [
+    ...collected.map(({ loanId, payment }) => ({
+      kind: 'collection',
+      date: payment.date,
+      loanId,
+      purpose: payment.purpose,
+      amount: payment.amount
+    })),
+    ...reversed.map(({ loanId, payment }) => ({
+      kind: 'reversal',
+      date: payment.reversal.reversedAt,
+      loanId,
+      purpose: payment.purpose,
+      amount: payment.amount
+    })),
+    ...disbursed
+      .filter(loan => loan.amount - (loan.carriedPrincipal || 0) > 0)
+      .map(loan => ({
+        kind: 'disbursement',
+        date: loan.disbursedAt || loan.createdAt,
+        loanId: loan.loanId,
+        amount: round2(loan.amount - (loan.carriedPrincipal || 0))
+      })),
+    ...refunded.map(auction => ({
+      kind: 'refund',
+      date: auction.surplusRefund.refundedAt,
+      loanId: auction.loanId,
+      amount: auction.surplus
+    }))
+  ].sort((a, b) => a.date - b.date);
+
+  const total = kind => round2(entries
+    .filter(entry => entry.kind === kind)
+    .reduce((sum, entry) => sum + entry.amount, 0));
+
+  return {
+    entries,
+    collections: total('collection'),
+    disbursements: total('disbursement'),
+    refunds: total('refund'),
+    reversals: total('reversal')
+  };
+}
+
+// Cash the till should hold: the float plus collections, less what was paid
+// out or handed back
+function expectedCash(openingBalance, { collections, disbursements, refunds, reversals = 0 }) {
+  return round2(openingBalance + collections - disbursements - refunds - reversals);
+}
+
+module.exports = {
+  businessDate,
+  dayBounds,
+  tillMovements,
+  expectedCash
+};
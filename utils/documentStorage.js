@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+// Where uploaded files are kept. A storage driver saves bytes under a key and
+// gives them back; the database keeps only the driver's name and the key, so
+// files stored by one driver can still be read after switching to another.
+// DOCUMENT_STORAGE_DRIVER picks the driver new files go to (local by default).
+// Another backend, e.g. an object store, is added with registerStorageDriver:
+//
+//   registerStorageDriver('s3', () => ({
+//     async put(key, buffer, { contentType }) { ... },
+//     async get(key) { ...return a readable stream },
+//     async remove(key) { ... }
+//   }));
+
+// Files on this server's disk, under DOCUMENT_STORAGE_DIR (default uploads/)
+function localDiskDriver() {
+  const root = path.resolve(process.env.DOCUMENT_STORAGE_DIR || path.join(__dirname, '../uploads'));
+  const fileFor = key => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    async put(key, buffer) {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      // Never overwrite: every version is kept
+      await fs.promises.writeFile(file, buffer, { flag: 'wx' });
+    },
+    async get(key) {
+      const file = fileFor(key);
+      await fs.promises.access(file);
+      return fs.createReadStream(file);
+    },
+    async remove(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    }
+  };
+}
+
+const factories = {
+  local: localDiskDriver
+};
+const drivers = new Map();
+
+function registerStorageDriver(name, factory) {
+  factories[name] = factory;
+  drivers.delete(name);
+}
+
+// The named driver, or the configured one for new files
+function getStorage(name = process.env.DOCUMENT_STORAGE_DRIVER || 'local') {
+  if (!drivers.has(name)) {
+    if (!factories[name]) {
+      throw new Error(`Unknown document storage driver: ${name}`);
+    }
+    drivers.set(name, { name, ...factories[name]() });
+  }
+  return drivers.get(name);
+}
+
+module.exports = { registerStorageDriver, getStorage };
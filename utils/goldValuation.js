@@ -0,0 +1,98 @@
+const Settings = require('../models/Settings');
+const GoldRate = require('../models/GoldRate');
+const { round2 } = require('./loanCalculator');
+
+const round3 = value => Math.round(value * 1000) / 1000;
+
+// Purity of an item in karat. Items may be appraised either in karat or
+// in fineness (parts per thousand, e.g. 916 for 22K). Items recorded
+// before purity was captured are treated as 24K, as they were valued then.
+function purityInKarat(item) {
+  if (item.purity) return Number(item.purity);
+  if (item.fineness) return Number(item.fineness) * 24 / 1000;
+  return 24;
+}
+
+// Check the gold items pledged for a loan. Returns a list of error
+// messages, empty when the items are fine.
+function validateGoldItems(goldItems) {
+  if (!Array.isArray(goldItems) || goldItems.length === 0) {
+    return ['At least one gold item must be provided'];
+  }
+  if (goldItems.some(item => !item.description || !item.grossWeight || !item.netWeight)) {
+    return ['Each gold item must have description, grossWeight, and netWeight'];
+  }
+  // Each gold item needs a purity, in karat or fineness, and deductions within its net weight
+  const invalidPurity = goldItems.some(item => {
+    const purity = Number(item.purity);
+    const fineness = Number(item.fineness);
+    const deductions = (Number(item.stoneWeight) || 0) + (Number(item.wastageWeight) || 0);
+    const hasPurity = (purity >= 1 && purity <= 24) || (fineness >= 1 && fineness <= 1000);
+    return !hasPurity || deductions < 0 || deductions >= Number(item.netWeight);
+  });
+  if (invalidPurity) {
+    return ['Each gold item must have a purity (1-24 karat or 1-1000 fineness), and stone and wastage deductions less than its netWeight'];
+  }
+  return [];
+}
+
+// Weight of pure gold in an item, in grams: the net weight less stone and
+// wastage deductions, scaled by purity
+function calculateFineWeight(item) {
+  const netWeight = Number(item.netWeight) || 0;
+  const deductions = (Number(item.stoneWeight) || 0) + (Number(item.wastageWeight) || 0);
+  return round3(Math.max(netWeight - deductions, 0) * purityInKarat(item) / 24);
+}
+
+// Sum of the net weight of all pledged items, in grams
+function totalNetWeight(goldItems = []) {
+  return round2(goldItems.reduce((sum, item) => sum + (Number(item.netWeight) || 0), 0));
+}
+
+// Sum of the fine (pure) gold weight of all pledged items, in grams
+function totalFineWeight(goldItems = []) {
+  return round3(goldItems.reduce((sum, item) => sum + calculateFineWeight(item), 0));
+}
+
+// Value the pledged items at the given gold rate (per gram of pure gold)
+// and work out how much can be lent against them under the LTV ratio
+function calculateGoldValuation(goldItems, { goldRate, ltvRatio }) {
+  const fineWeight = totalFineWeight(goldItems);
+  const marketValue = round2(fineWeight * goldRate);
+  return {
+    goldRate,
+    totalNetWeight: totalNetWeight(goldItems),
+    totalFineWeight: fineWeight,
+    marketValue,
+    ltvRatio,
+    eligibleAmount: Math.floor(marketValue * ltvRatio / 100)
+  };
+}
+
+// Value the items at the current gold rate and check the requested amount
+// against the configured LTV ceiling, or the given ltvRatio (a scheme's
+// cap) when there is one. The valuation references the gold rate history
+// entry it used, so it can be audited later.
+async function assessLoanToValue(goldItems, requestedAmount, { ltvRatio } = {}) {
+  const settings = await Settings.getCurrent();
+  const rateEntry = await GoldRate.latest();
+  const valuation = calculateGoldValuation(goldItems, {
+    goldRate: rateEntry ? rateEntry.rate : settings.goldRate,
+    ltvRatio: ltvRatio || settings.ltvRatio
+  });
+  valuation.goldRateId = rateEntry ? rateEntry._id : undefined;
+  valuation.valuedAt = new Date();
+  valuation.requestedAmount = requestedAmount;
+  valuation.ltvExceeded = requestedAmount > valuation.eligibleAmount;
+  return { valuation, action: settings.ltvAction };
+}
+
+module.exports = {
+  purityInKarat,
+  validateGoldItems,
+  calculateFineWeight,
+  totalNetWeight,
+  totalFineWeight,
+  calculateGoldValuation,
+  assessLoanToValue
+};
@@ -0,0 +1,69 @@
+const KycDocument = require('../models/KycDocument');
+const { recordAudit } = require('./audit');
+
+const FORMAT_NAMES = {
+  'image/jpeg': 'JPEG',
+  'image/png': 'PNG',
+  'application/pdf': 'PDF'
+};
+
+// Check the file received by middleware/documentUpload.js against the
+// document type in req.body.type and store it as the customer's next version
+// of that document. Returns { document }, or { status, message } for a file
+// that cannot be taken.
+async function saveUploadedDocument(req, customer) {
+  const { type } = req.body;
+  const { label, formats } = KycDocument.DOCUMENT_TYPES[type];
+  const mimeType = KycDocument.detectFormat(req.file.buffer);
+  if (!formats.includes(mimeType)) {
+    return {
+      status: 400,
+      message: `${label} must be a ${formats.map(format => FORMAT_NAMES[format]).join(' or ')} file`
+    };
+  }
+
+  let document;
+  try {
+    document = await KycDocument.upload({ customer, type, file: req.file, mimeType, uploadedBy: req.user._id });
+  } catch (err) {
+    if (err.code === 11000) {
+      return { status: 409, message: 'Another version of this document was uploaded at the same time; try again' };
+    }
+    throw err;
+  }
+
+  await recordAudit(req, {
+    action: 'kyc.upload',
+    entityType: 'KycDocument',
+    entityId: document._id,
+    entityRef: customer.aadharNumber,
+    after: document
+  });
+  return { document };
+}
+
+// Path of a signed link that downloads the document without logging in,
+// and when it stops working
+function downloadLink(document) {
+  const { query, expiresAt } = document.downloadLink();
+  return { url: `/api/kyc/documents/${document._id}/file?${query}`, expiresAt };
+}
+
+// A document as its customer sees it, without staff-only details
+function documentView(document) {
+  return {
+    _id: document._id,
+    type: document.type,
+    label: KycDocument.DOCUMENT_TYPES[document.type].label,
+    version: document.version,
+    status: document.status,
+    comments: document.review ? document.review.comments : undefined,
+    originalName: document.originalName,
+    mimeType: document.mimeType,
+    size: document.size,
+    uploadedAt: document.createdAt,
+    supersededAt: document.supersededAt
+  };
+}
+
+module.exports = { saveUploadedDocument, downloadLink, documentView };
@@ -0,0 +1,206 @@
+const Counter = require('../models/Counter');
+const JournalEntry = require('../models/JournalEntry');
+const { ACCOUNTS } = require('../models/LedgerAccount');
+const { round2 } = require('./loanCalculator');
+
+// Interest is booked as income when collected. Principal lent and penalties
+// charged sit in Loans Receivable until collected or written off.
+
+// Account the money moves through for a payment or disbursement method
+function moneyAccount(method) {
+  return method === 'online' ? ACCOUNTS.BANK : ACCOUNTS.CASH;
+}
+
+// Post a balanced journal entry for a loan. Empty lines are dropped, and
+// nothing is posted when no line is left. Lines belong to the entry's loan
+// unless they name another.
+async function postEntry({ type, date = new Date(), narration, loan, paymentId, lines, postedBy }, session = null) {
+  const kept = lines
+    .map(line => ({
+      loan: loan ? loan._id : undefined,
+      ...line,
+      debit: round2(line.debit || 0),
+      credit: round2(line.credit || 0)
+    }))
+    .filter(line => line.debit > 0 || line.credit > 0);
+  if (kept.length === 0) {
+    return null;
+  }
+
+  const entryNumber = await Counter.next('journalEntry');
+  const [entry] = await JournalEntry.create([{
+    entryNumber,
+    type,
+    date,
+    narration,
+    loan: loan ? loan._id : undefined,
+    loanId: loan ? loan.loanId : undefined,
+    paymentId,
+    lines: kept,
+    postedBy
+  }], { session });
+  return entry;
+}
+
+// What the loan still owes in Loans Receivable, per the ledger
+async function loanReceivableBalance(loanId, session = null) {
+  const [row] = await JournalEntry.aggregate([
+    { $match: { 'lines.loan': loanId } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.loan': loanId, 'lines.account': ACCOUNTS.LOANS_RECEIVABLE } },
+    { $group: { _id: null, balance: { $sum: { $subtract: ['$lines.debit', '$lines.credit'] } } } }
+  ]).session(session);
+  return round2(row ? row.balance : 0);
+}
+
+// Lines for money collected on a loan, split by the payment's breakdown
+function paymentLines(payment) {
+  const { penalty = 0, interest = 0, principal = 0 } = payment.breakdown || {};
+  return [
+    { account: moneyAccount(payment.method), debit: payment.amount },
+    { account: ACCOUNTS.LOANS_RECEIVABLE, credit: principal + penalty },
+    { account: ACCOUNTS.INTEREST_INCOME, credit: interest }
+  ];
+}
+
+// The same lines with the sides swapped
+function reverseLines(lines) {
+  return lines.map(({ debit = 0, credit = 0, ...line }) => ({ ...line, debit: credit, credit: debit }));
+}
+
+// Journal entries for each kind of event queued on a loan (see
+// loanSchema.methods.queueLedger)
+const EVENT_POSTINGS = {
+  disbursement: async (loan, { date }) => {
+    // A renewed loan pays out only the top-up; the principal carried over
+    // moves from the old loan's receivable to the new one's
+    const carried = loan.carriedPrincipal || 0;
+    return {
+      type: 'disbursement',
+      date,
+      narration: `Loan ${loan.loanId} disbursed`,
+      lines: [
+        { account: ACCOUNTS.LOANS_RECEIVABLE, debit: loan.amount },
+        { account: moneyAccount(loan.paymentMethod), credit: loan.amount - carried },
+        { account: ACCOUNTS.LOANS_RECEIVABLE, credit: carried, loan: loan.renewedFrom }
+      ]
+    };
+  },
+
+  penalty: async (loan, { amount, date }) => ({
+    type: 'penalty',
+    date,
+    narration: `Penalty on overdue installments of ${loan.loanId}`,
+    lines: [
+      { account: ACCOUNTS.LOANS_RECEIVABLE, debit: amount },
+      { account: ACCOUNTS.PENALTY_INCOME, credit: amount }
+    ]
+  }),
+
+  payment: async (loan, { payment }) => ({
+    type: 'payment',
+    date: payment.date,
+    narration: `${payment.purpose} payment on ${loan.loanId}`,
+    paymentId: payment._id,
+    lines: paymentLines(payment)
+  }),
+
+  // Money recovered after an auction: what is still receivable first, the
+  // rest is interest that was never booked
+  recovery: async (loan, { payment }, session) => {
+    const receivable = Math.max(await loanReceivableBalance(loan._id, session), 0);
+    const toReceivable = Math.min(payment.amount, receivable);
+    return {
+      type: 'payment',
+      date: payment.date,
+      narration: `Auction shortfall recovered on ${loan.loanId}`,
+      paymentId: payment._id,
+      lines: [
+        { account: moneyAccount(payment.method), debit: payment.amount },
+        { account: ACCOUNTS.LOANS_RECEIVABLE, credit: toReceivable },
+        { account: ACCOUNTS.INTEREST_INCOME, credit: payment.amount - toReceivable }
+      ]
+    };
+  },
+
+  reversal: async (loan, { payment, date }) => ({
+    type: 'reversal',
+    date,
+    narration: `Reversal of payment on ${loan.loanId}: ${payment.reversal.reason}`,
+    paymentId: payment._id,
+    lines: reverseLines(paymentLines(payment))
+  }),
+
+  // Replaying payments after a reversal moved `amount` of collected money
+  // from principal and penalty to interest (or back, when negative)
+  reallocation: async (loan, { amount, date }) => ({
+    type: 'reallocation',
+    date,
+    narration: `Payments on ${loan.loanId} reallocated after a reversal`,
+    lines: amount > 0
+      ? [
+        { account: ACCOUNTS.LOANS_RECEIVABLE, debit: amount },
+        { account: ACCOUNTS.INTEREST_INCOME, credit: amount }
+      ]
+      : [
+        { account: ACCOUNTS.INTEREST_INCOME, debit: -amount },
+        { account: ACCOUNTS.LOANS_RECEIVABLE, credit: -amount }
+      ]
+  }),
+
+  // Write off whatever is left receivable on a loan that has been closed out
+  writeOff: async (loan, { date, narration }, session) => {
+    const balance = await loanReceivableBalance(loan._id, session);
+    return {
+      type: 'write_off',
+      date,
+      narration: `${narration} (${loan.loanId})`,
+      lines: [
+        { account: ACCOUNTS.WRITE_OFFS, debit: balance },
+        { account: ACCOUNTS.LOANS_RECEIVABLE, credit: balance }
+      ]
+    };
+  },
+
+  auctionSurplus: async (loan, { amount, date }) => ({
+    type: 'auction_surplus',
+    date,
+    narration: `Auction surplus held for the customer of ${loan.loanId}`,
+    lines: [
+      { account: ACCOUNTS.CASH, debit: amount },
+      { account: ACCOUNTS.CUSTOMER_SURPLUS, credit: amount }
+    ]
+  })
+};
+
+// Post the journal entries for events queued on a loan, in order
+async function postLoanEvents(loan, events, session = null) {
+  for (const event of events) {
+    const entry = await EVENT_POSTINGS[event.type](loan, event, session);
+    await postEntry({ ...entry, loan, postedBy: event.postedBy }, session);
+  }
+}
+
+// Post the refund of an auction surplus to the customer, inside session when
+// one is given
+async function postSurplusRefund(loan, { amount, method, date = new Date(), postedBy }, session = null) {
+  return postEntry({
+    type: 'surplus_refund',
+    date,
+    narration: `Auction surplus refunded to the customer of ${loan.loanId}`,
+    loan,
+    lines: [
+      { account: ACCOUNTS.CUSTOMER_SURPLUS, debit: amount },
+      { account: moneyAccount(method), credit: amount }
+    ],
+    postedBy
+  }, session);
+}
+
+module.exports = {
+  moneyAccount,
+  postEntry,
+  postLoanEvents,
+  postSurplusRefund,
+  loanReceivableBalance
+};
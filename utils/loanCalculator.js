@@ -0,0 +1,105 @@
+const REPAYMENT_TYPES = ['emi', 'interest_only', 'bullet'];
+
+const REPAYMENT_TYPE_LABELS = {
+  emi: 'EMI',
+  interest_only: 'Monthly interest, principal at maturity',
+  bullet: 'Bullet (everything at maturity)'
+};
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Same day of the month, `months` months after `date`
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+}
+
+// Equal monthly installments of principal and interest
+function emiSchedule(p, n, r) {
+  // Monthly payment formula: P * r * (1 + r)^n / ((1 + r)^n - 1)
+  const monthlyPayment = round2(r === 0
+    ? p / n
+    : (p * r * Math.pow(1 + r, n)) / (Math.pow(1 + r, n) - 1));
+
+  const rows = [];
+  let balance = p;
+  for (let i = 1; i <= n; i++) {
+    const interest = round2(balance * r);
+    const principal = i === n ? round2(balance) : round2(monthlyPayment - interest);
+    balance = round2(balance - principal);
+    rows.push({ principal, interest });
+  }
+  return { monthlyPayment, rows };
+}
+
+// Interest every month, principal with the last installment
+function interestOnlySchedule(p, n, r) {
+  const monthlyInterest = round2(p * r);
+  const rows = [];
+  for (let i = 1; i <= n; i++) {
+    rows.push({ principal: i === n ? p : 0, interest: monthlyInterest });
+  }
+  return { monthlyPayment: monthlyInterest, rows };
+}
+
+// Nothing until maturity, then principal and simple interest for the term
+function bulletSchedule(p, n, r) {
+  const rows = [];
+  for (let i = 1; i <= n; i++) {
+    rows.push(i === n ? { principal: p, interest: round2(p * r * n) } : null);
+  }
+  return { monthlyPayment: 0, rows };
+}
+
+const scheduleBuilders = {
+  emi: emiSchedule,
+  interest_only: interestOnlySchedule,
+  bullet: bulletSchedule
+};
+
+// Work out the monthly payment, totals and full installment schedule for a
+// loan. interestRate is yearly, in percent; term is in months. Amounts are
+// rounded to the paisa, with the last installment absorbing the rounding
+// so the principal parts add up to the amount lent.
+function calculateLoanQuote({ amount, term, interestRate, repaymentType = 'emi', startDate = new Date() }) {
+  if (!scheduleBuilders[repaymentType]) {
+    throw new Error(`Unknown repayment type: ${repaymentType}`);
+  }
+
+  const p = Number(amount);
+  const n = Number(term);
+  const r = (Number(interestRate) / 100) / 12; // Monthly interest rate from yearly
+
+  const { monthlyPayment, rows } = scheduleBuilders[repaymentType](p, n, r);
+
+  // Months with nothing due (bullet loans) get no installment
+  const schedule = [];
+  let balance = p;
+  rows.forEach((row, index) => {
+    if (!row) return;
+    balance = round2(balance - row.principal);
+    schedule.push({
+      number: schedule.length + 1,
+      dueDate: addMonths(startDate, index + 1),
+      amount: round2(row.principal + row.interest),
+      principal: row.principal,
+      interest: row.interest,
+      balance
+    });
+  });
+
+  const totalPayment = round2(schedule.reduce((sum, inst) => sum + inst.amount, 0));
+  return {
+    amount: p,
+    term: n,
+    interestRate: Number(interestRate),
+    repaymentType,
+    monthlyPayment,
+    totalPayment,
+    totalInterest: round2(totalPayment - p),
+    schedule
+  };
+}
+
+module.exports = { REPAYMENT_TYPES, REPAYMENT_TYPE_LABELS, round2, addMonths, calculateLoanQuote };
@@ -0,0 +1,30 @@
+const Counter = require('../models/Counter');
+const Loan = require('../models/Loan');
+
+// Loan IDs are <prefix><yy><mm><sequence>, e.g. CY251007. The sequence
+// restarts each month and is padded to LOAN_ID_PADDING digits; it simply
+// grows longer once it outruns the padding.
+const LOAN_ID_PREFIX = process.env.LOAN_ID_PREFIX || 'CY';
+const LOAN_ID_PADDING = Number(process.env.LOAN_ID_PADDING) || 2;
+
+// Highest sequence already used for this month's prefix, so the counter
+// carries on from loans created before it existed
+async function highestExistingSequence(monthPrefix) {
+  const escaped = monthPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const loans = await Loan.find({ loanId: new RegExp(`^${escaped}\\d+$`) }).select('loanId');
+  return loans.reduce((max, loan) => {
+    return Math.max(max, parseInt(loan.loanId.slice(monthPrefix.length), 10));
+  }, 0);
+}
+
+// Next loan ID for the month of `date`, unique across concurrent requests
+async function generateLoanId(date = new Date()) {
+  const year = (date.getFullYear() % 100).toString().padStart(2, '0');
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const monthPrefix = `${LOAN_ID_PREFIX}${year}${month}`;
+
+  const seq = await Counter.next(`loanId:${monthPrefix}`, () => highestExistingSequence(monthPrefix));
+  return `${monthPrefix}${seq.toString().padStart(LOAN_ID_PADDING, '0')}`;
+}
+
+module.exports = { generateLoanId };
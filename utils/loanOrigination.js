@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Loan = require('../models/Loan');
+const { sendBrevoEmail } = require('./brevo');
+const { generateLoanId } = require('./loanIdGenerator');
+const { purityInKarat } = require('./goldValuation');
+const { REPAYMENT_TYPE_LABELS } = require('./loanCalculator');
+const { recordAudit } = require('./audit');
+
+// Customer details taken from the loan form for a new customer, and copied
+// from the customer record onto the loan
+const CUSTOMER_FIELDS = [
+  'aadharNumber',
+  'name',
+  'email',
+  'primaryMobile',
+  'secondaryMobile',
+  'presentAddress',
+  'permanentAddress',
+  'emergencyContact'
+];
+
+// Create the customer, unless the Aadhar number is known, and create their
+// loan in one transaction: if either write fails, neither is kept. A known
+// customer's record is used as it stands; their details are changed through
+// the customer routes, which check the caller may. The loan ID is drawn beforehand, so a failed creation leaves a gap
+// in the sequence instead of holding the counter for the transaction.
+// Nothing is emailed here; see sendLoanCreationEmails.
+async function createCustomerAndLoan(customerDetails, loanData) {
+  const loanId = await generateLoanId();
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      let customer = await Customer.findOne({ aadharNumber: customerDetails.aadharNumber }).session(session);
+      const isNewCustomer = !customer;
+      if (isNewCustomer) {
+        customer = new Customer({ branch: loanData.branch });
+        for (const field of CUSTOMER_FIELDS) {
+          customer[field] = customerDetails[field];
+        }
+        await customer.save({ session });
+      }
+
+      const customerCopy = {};
+      for (const field of CUSTOMER_FIELDS) {
+        customerCopy[field] = customer[field];
+      }
+      const [loan] = await Loan.create([{
+        ...loanData,
+        ...customerCopy,
+        customerId: customer._id,
+        loanId
+      }], { session });
+
+      result = { customer, loan, isNewCustomer };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return result;
+}
+
+// Record the loan, and the customer if it created one, in the audit log
+async function auditLoanCreation(req, { customer, loan, isNewCustomer }) {
+  if (isNewCustomer) {
+    await recordAudit(req, {
+      action: 'customer.create',
+      entityType: 'Customer',
+      entityId: customer._id,
+      entityRef: customer.aadharNumber,
+      after: customer
+    });
+  }
+  await recordAudit(req, {
+    action: 'loan.create',
+    entityType: 'Loan',
+    entityId: loan._id,
+    entityRef: loan.loanId,
+    after: loan
+  });
+}
+
+async function sendWelcomeEmail(customer) {
+  await sendBrevoEmail({
+    to: customer.email,
+    subject: 'Welcome to Cyan Finance',
+    html: `
+      <p>Dear ${customer.name},</p>
+      <p>Welcome to Cyan Finance! We're pleased to have you as our customer.</p>
+      <p>Your account has been successfully created with the following details:</p>
+      <ul>
+        <li>Name: ${customer.name}</li>
+        <li>Email: ${customer.email}</li>
+        <li>Primary Mobile: ${customer.primaryMobile}</li>
+        ${customer.secondaryMobile ? `<li>Secondary Mobile: ${customer.secondaryMobile}</li>` : ''}
+      </ul>
+      <p>If you have any questions or need assistance, please don't hesitate to contact us.</p>
+      <p>Best regards,<br/>Cyan Finance Team</p>
+    `
+  });
+}
+
+async function sendLoanConfirmationEmail(loan) {
+  await sendBrevoEmail({
+    to: loan.email,
+    subject: 'Loan Confirmation - Cyan Finance',
+    html: `
+      <p>Dear ${loan.name},</p>
+      <p>Your loan has been successfully created with the following details:</p>
+      <p><b>Loan Details:</b></p>
+      <ul>
+        <li>Loan ID: ${loan.loanId}</li>
+        <li>Loan Amount: ₹${loan.amount}</li>
+        <li>Term: ${loan.term} months</li>
+        <li>Interest Rate: ${loan.interestRate}%</li>
+        <li>Repayment Type: ${REPAYMENT_TYPE_LABELS[loan.repaymentType]}</li>
+        <li>Monthly Payment: ₹${loan.monthlyPayment}</li>
+        <li>Total Payment: ₹${loan.totalPayment}</li>
+      </ul>
+      <p><b>Gold Valuation:</b></p>
+      <ul>
+        <li>Total Fine Weight: ${loan.valuation.totalFineWeight}g</li>
+        <li>Gold Rate: ₹${loan.valuation.goldRate}/g</li>
+        <li>Market Value: ₹${loan.valuation.marketValue}</li>
+      </ul>
+      <p><b>Gold Items:</b></p>
+      <ul>
+        ${loan.goldItems.map(item => `
+          <li>${item.description} - Gross Weight: ${item.grossWeight}g, Net Weight: ${item.netWeight}g, Purity: ${purityInKarat(item).toFixed(1)}K, Fine Weight: ${item.fineWeight}g</li>
+        `).join('')}
+      </ul>
+      <p>Please ensure timely payment of your monthly installments.</p>
+      <p>If you have any questions, please don't hesitate to contact us.</p>
+      <p>Best regards,<br/>Cyan Finance Team</p>
+    `
+  });
+}
+
+// Welcome a new customer and confirm their loan, once both are committed.
+// A loan waiting for approval is confirmed when it is approved instead.
+// A failed email is logged and does not affect the loan.
+async function sendLoanCreationEmails({ customer, loan, isNewCustomer }) {
+  if (isNewCustomer) {
+    try {
+      await sendWelcomeEmail(customer);
+    } catch (emailErr) {
+      console.error('Failed to send welcome email:', emailErr);
+    }
+  }
+  if (loan.status === 'pending_approval') {
+    return;
+  }
+
+  try {
+    await sendLoanConfirmationEmail(loan);
+  } catch (emailErr) {
+    console.error('Failed to send loan confirmation email:', emailErr);
+  }
+}
+
+module.exports = {
+  CUSTOMER_FIELDS,
+  createCustomerAndLoan,
+  auditLoanCreation,
+  sendLoanConfirmationEmail,
+  sendLoanCreationEmails
+};
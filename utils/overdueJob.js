@@ -0,0 +1,65 @@
+const Loan = require('../models/Loan');
+const Settings = require('../models/Settings');
+
+// Penal interest is charged per whole day, so a few runs a day keep it current
+const REFRESH_INTERVAL_MS = 6 * 60 * 60 * 1000;
+// Times to reload and retry a loan saved by someone else while it was refreshed
+const MAX_ATTEMPTS = 3;
+
+// Charge a loan's overdue penalties and save it. Loans save with optimistic
+// concurrency, so if a route saved the loan meanwhile (say, a payment), the
+// save fails instead of overwriting it; the loan is then reloaded and the
+// penalties worked out again from its current state. Returns whether the
+// loan changed.
+async function refreshLoan(loan, asOf, penalty) {
+  for (let attempt = 1; ; attempt++) {
+    await loan.applyOverdue(asOf, penalty);
+    if (!loan.isModified()) {
+      return false;
+    }
+    try {
+      await loan.save();
+      return true;
+    } catch (err) {
+      if (err.name !== 'VersionError' || attempt >= MAX_ATTEMPTS) throw err;
+      loan = await Loan.findById(loan._id);
+      if (!loan) return false;
+    }
+  }
+}
+
+// Mark overdue installments and charge penalties on every open loan
+// with an unpaid installment past its due date. Returns the number of
+// loans updated.
+async function refreshOverdueLoans(asOf = new Date()) {
+  const { penalty } = await Settings.getCurrent();
+  const loans = await Loan.find({
+    status: { $in: ['active', 'defaulted'] },
+    installments: { $elemMatch: { status: { $ne: 'paid' }, dueDate: { $lt: asOf } } }
+  });
+
+  let updated = 0;
+  for (const loan of loans) {
+    try {
+      if (await refreshLoan(loan, asOf, penalty)) {
+        updated++;
+      }
+    } catch (err) {
+      // One loan failing should not hold up the rest
+      console.error(`Overdue refresh failed for loan ${loan.loanId}:`, err);
+    }
+  }
+  return updated;
+}
+
+// Refresh now and then every REFRESH_INTERVAL_MS
+function startOverdueJob() {
+  const run = () => refreshOverdueLoans()
+    .then(updated => console.log(`Overdue refresh: ${updated} loans updated`))
+    .catch(err => console.error('Overdue refresh failed:', err));
+
+  run();
+  setInterval(run, REFRESH_INTERVAL_MS).unref();
+}
+
+module.exports = { refreshOverdueLoans, startOverdueJob };
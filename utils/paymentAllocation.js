@@ -0,0 +1,139 @@
+const { round2 } = require('./loanCalculator');
+
+// Installments with nothing more to collect
+const CLOSED_STATUSES = ['paid', 'settled', 'waived'];
+
+// Amounts due and paid on an installment, part by part. Installments
+// created before the split was tracked are read as all principal, with
+// earlier payments taken as covering interest first.
+function installmentParts(inst) {
+  const interest = inst.interest ?? 0;
+  const principal = inst.principal ?? inst.amount;
+  return {
+    penalty: inst.penalty || 0,
+    interest,
+    principal,
+    penaltyPaid: inst.penaltyPaid || 0,
+    interestPaid: inst.interestPaid ?? Math.min(inst.amountPaid, interest),
+    principalPaid: inst.principalPaid ?? Math.max(inst.amountPaid - interest, 0)
+  };
+}
+
+// What is still owed on an installment, penalty included
+function installmentDue(inst) {
+  if (CLOSED_STATUSES.includes(inst.status)) return 0;
+  const parts = installmentParts(inst);
+  return round2(
+    (parts.penalty - parts.penaltyPaid) +
+    (parts.interest - parts.interestPaid) +
+    (parts.principal - parts.principalPaid)
+  );
+}
+
+// Status of an installment after money has been applied to it
+function installmentStatus(inst) {
+  if (inst.amountPaid >= inst.amount && (inst.penaltyPaid || 0) >= (inst.penalty || 0)) {
+    return 'paid';
+  }
+  if (inst.status === 'overdue') {
+    return 'overdue';
+  }
+  return inst.amountPaid > 0 ? 'partial' : 'pending';
+}
+
+// Apply up to `amount` to one installment, clearing the given parts in
+// order. Returns what went to each part.
+function applyToInstallment(inst, amount, parts = ['penalty', 'interest', 'principal']) {
+  const current = installmentParts(inst);
+  const applied = { installmentNumber: inst.number, penalty: 0, interest: 0, principal: 0 };
+  let left = amount;
+
+  for (const part of parts) {
+    const due = Math.max(round2(current[part] - current[`${part}Paid`]), 0);
+    applied[part] = round2(Math.min(left, due));
+    left = round2(left - applied[part]);
+  }
+
+  inst.penaltyPaid = round2(current.penaltyPaid + applied.penalty);
+  inst.interestPaid = round2(current.interestPaid + applied.interest);
+  inst.principalPaid = round2(current.principalPaid + applied.principal);
+  inst.amountPaid = round2(inst.interestPaid + inst.principalPaid);
+  inst.status = installmentStatus(inst);
+  return applied;
+}
+
+// Spread a payment over a loan's installments, oldest first, clearing each
+// installment's penalty, then interest, then principal before moving on.
+// On interest-only and bullet loans the principal sits in the last
+// installment: once everything up to the current period is paid, the rest
+// goes to principal as a prepayment, and only then to future interest.
+// Mutates the installments and returns the breakdown, with anything the
+// installments could not absorb as `unallocated`.
+function allocatePayment(installments, amount, { repaymentType = 'emi', asOf = new Date() } = {}) {
+  const open = installments.filter(inst => !CLOSED_STATUSES.includes(inst.status));
+  const byInstallment = new Map();
+  let left = round2(amount);
+
+  const apply = (inst, parts) => {
+    if (left <= 0) return;
+    const applied = applyToInstallment(inst, left, parts);
+    left = round2(left - applied.penalty - applied.interest - applied.principal);
+
+    const total = byInstallment.get(inst.number) ||
+      { installmentNumber: inst.number, penalty: 0, interest: 0, principal: 0 };
+    total.penalty = round2(total.penalty + applied.penalty);
+    total.interest = round2(total.interest + applied.interest);
+    total.principal = round2(total.principal + applied.principal);
+    byInstallment.set(inst.number, total);
+  };
+
+  if (repaymentType === 'emi') {
+    open.forEach(inst => apply(inst));
+  } else {
+    const currentIndex = open.findIndex(inst => inst.dueDate > asOf);
+    const dueNow = currentIndex === -1 ? open : open.slice(0, currentIndex + 1);
+    dueNow.forEach(inst => apply(inst));
+    open.forEach(inst => apply(inst, ['principal']));
+    open.forEach(inst => apply(inst));
+  }
+
+  const allocations = [...byInstallment.values()]
+    .filter(a => a.penalty + a.interest + a.principal > 0)
+    .sort((a, b) => a.installmentNumber - b.installmentNumber);
+  const sum = part => round2(allocations.reduce((total, a) => total + a[part], 0));
+
+  return {
+    allocations,
+    breakdown: {
+      penalty: sum('penalty'),
+      interest: sum('interest'),
+      principal: sum('principal')
+    },
+    unallocated: left
+  };
+}
+
+// Split a lump sum (a renewal, foreclosure or auction settlement) against
+// what is outstanding: penalty, then interest, then principal. Anything
+// beyond that is interest charged by the settlement terms.
+function splitLumpSum(amount, outstanding) {
+  let left = round2(amount);
+  const take = due => {
+    const taken = round2(Math.min(left, Math.max(due, 0)));
+    left = round2(left - taken);
+    return taken;
+  };
+  const penalty = take(outstanding.penalty);
+  const interest = take(outstanding.interest);
+  const principal = take(outstanding.principal);
+  return { penalty, interest: round2(interest + left), principal };
+}
+
+module.exports = {
+  CLOSED_STATUSES,
+  installmentParts,
+  installmentDue,
+  installmentStatus,
+  allocatePayment,
+  splitLumpSum
+};
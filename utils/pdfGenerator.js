@@ -54,4 +54,128 @@ async function generatePaymentReceiptPDF({
   });
 }
 
-module.exports = { generatePaymentReceiptPDF }; 
\ No newline at end of file
+async function generateReleaseSlipPDF({
+  customerName,
+  loanId,
+  slipNumber,
+  releaseDate,
+  items,
+  amountPaid,
+  remainingBalance,
+  remainingGold,
+  releasedBy,
+  logoPath
+}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument();
+    const buffers = [];
+    doc.on('data', buffers.push.bind(buffers));
+    doc.on('end', () => {
+      const pdfData = Buffer.concat(buffers);
+      resolve(pdfData);
+    });
+
+    // Logo
+    if (logoPath && fs.existsSync(logoPath)) {
+      doc.image(logoPath, 20, 20, { width: 60 });
+    }
+    doc.fontSize(20).text('Gold Release Slip', 200, 40);
+    doc.moveDown();
+
+    // Office details
+    doc.fontSize(10).text('Cyan Finance', 50, 100);
+    doc.text('BK Towers, Akkayyapalem, Visakhapatnam, Andra Pradesh-530016.');
+    doc.text('Phone: +91-9700049444');
+    doc.text('Email: support@cyanfinance.in');
+    doc.moveDown();
+
+    // Customer & release details
+    doc.fontSize(12).text(`Date: ${releaseDate}`);
+    doc.text(`Slip No: ${slipNumber}`);
+    doc.text(`Loan ID: ${loanId}`);
+    doc.text(`Customer Name: ${customerName}`);
+    doc.moveDown();
+
+    doc.fontSize(14).text('Items Released:', { underline: true });
+    doc.fontSize(12);
+    items.forEach((item, index) => {
+      doc.text(`${index + 1}. ${item.description} - Net Weight: ${item.netWeight}g, Fine Weight: ${item.fineWeight}g`);
+    });
+    doc.moveDown();
+
+    doc.fontSize(14).text('Payment Details:', { underline: true });
+    doc.fontSize(12).text(`Amount Paid: INR ${amountPaid}`);
+    doc.text(`Balance Outstanding: INR ${remainingBalance}`);
+    doc.text(`Gold Still Pledged: ${remainingGold}`);
+    doc.moveDown();
+
+    doc.text(`Released By: ${releasedBy}`);
+    doc.moveDown(3);
+    doc.text('Customer Signature: ____________________', { align: 'right' });
+    doc.moveDown();
+
+    doc.text('The above items have been returned to the customer in good condition.', { align: 'center' });
+
+    doc.end();
+  });
+}
+
+async function generateAuctionNoticePDF({
+  customerName,
+  customerAddress,
+  loanId,
+  noticeType,
+  noticeDate,
+  payBy,
+  amountDue,
+  items,
+  logoPath
+}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument();
+    const buffers = [];
+    doc.on('data', buffers.push.bind(buffers));
+    doc.on('end', () => {
+      const pdfData = Buffer.concat(buffers);
+      resolve(pdfData);
+    });
+
+    // Logo
+    if (logoPath && fs.existsSync(logoPath)) {
+      doc.image(logoPath, 20, 20, { width: 60 });
+    }
+    doc.fontSize(20).text(noticeType === 'final' ? 'Final Notice Before Auction' : 'Demand Notice', 200, 40);
+    doc.moveDown();
+
+    // Office details
+    doc.fontSize(10).text('Cyan Finance', 50, 100);
+    doc.text('BK Towers, Akkayyapalem, Visakhapatnam, Andra Pradesh-530016.');
+    doc.text('Phone: +91-9700049444');
+    doc.text('Email: support@cyanfinance.in');
+    doc.moveDown();
+
+    doc.fontSize(12).text(`Date: ${noticeDate}`);
+    doc.text(`Loan ID: ${loanId}`);
+    doc.text(`To: ${customerName}`);
+    doc.text(customerAddress);
+    doc.moveDown();
+
+    doc.text(`Your gold loan ${loanId} is in default. An amount of INR ${amountDue} is due.`);
+    doc.text(`If this amount is not paid by ${payBy}, the gold pledged against the loan will be sold by public auction to recover the dues, without further notice.`);
+    doc.text('Any surplus from the sale after recovering the dues and auction expenses will be refunded to you. Any shortfall will remain payable by you.');
+    doc.moveDown();
+
+    doc.fontSize(14).text('Pledged Items:', { underline: true });
+    doc.fontSize(12);
+    items.forEach((item, index) => {
+      doc.text(`${index + 1}. ${item.description} - Net Weight: ${item.netWeight}g, Fine Weight: ${item.fineWeight}g`);
+    });
+    doc.moveDown(3);
+
+    doc.text('Authorised Signatory', { align: 'right' });
+
+    doc.end();
+  });
+}
+
+module.exports = { generatePaymentReceiptPDF, generateReleaseSlipPDF, generateAuctionNoticePDF }; 
\ No newline at end of file